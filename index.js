@@ -10,6 +10,9 @@
  *   pcec         启动 PCEC 周期
  *   tree         查看能力树
  *   report       生成进化报告
+ *   rollback     回退已固化的 Capsule
+ *   detectors    列出信号检测器
+ *   backlog      查看 / 关闭功能请求待办
  */
 
 const command = process.argv[2];
@@ -31,6 +34,50 @@ async function main() {
 
   switch (command) {
     case 'run': {
+      const { parseSince } = require('./src/core/ingest');
+
+      if (opts['all-agents']) {
+        const { runAllAgents } = require('./src/core/agents');
+        const { loadCapsules, loadEvents } = require('./src/gep/store');
+        const { printAgentSummary } = require('./scripts/report');
+
+        console.log('=== ccEvo: Multi-agent evolution ===');
+        const runs = await runAllAgents({
+          strategy: opts.strategy || null,
+          cwd: opts.cwd || process.cwd(),
+          dryRun: !!opts['dry-run'],
+          thinking: opts.thinking || null,
+          timeoutSec: opts.timeout ? parseInt(opts.timeout, 10) : null,
+          since: opts.since ? parseSince(opts.since) : undefined,
+          fullRescan: !!opts['full-rescan'],
+          detectorsDir: opts.detectors || null,
+          selectionPolicy: opts.policy || null,
+          verbose: !!opts.verbose,
+        });
+        if (runs.length === 0) {
+          console.log('No agents with sessions found under ~/.openclaw/agents/');
+          break;
+        }
+
+        for (const { agent, result, error } of runs) {
+          if (error) {
+            console.log(`[${agent}] ERROR: ${error}`);
+            process.exitCode = 1;
+          } else if (result.skipped) {
+            console.log(`[${agent}] skipped: ${result.reason} (signals: ${result.signals.length})`);
+          } else {
+            console.log(
+              `[${agent}] ${result.gene.id} -> ${result.solidifyResult?.success ? 'SUCCESS' : 'FAILED'} ` +
+              `(strategy: ${result.strategy}, signals: ${result.signals.join(', ')})`,
+            );
+          }
+        }
+
+        console.log('\n=== Combined ===');
+        printAgentSummary(loadCapsules(), loadEvents(), runs.map(r => r.agent));
+        break;
+      }
+
       const { EvolutionEngine } = require('./src/core/engine');
       const engine = new EvolutionEngine({
         strategy: opts.strategy || null,
@@ -38,18 +85,47 @@ async function main() {
         sessionsDir: opts.sessions || null,
         cwd: opts.cwd || process.cwd(),
         dryRun: !!opts['dry-run'],
+        thinking: opts.thinking || null,
+        timeoutSec: opts.timeout ? parseInt(opts.timeout, 10) : null,
+        since: opts.since ? parseSince(opts.since) : undefined,
+        fullRescan: !!opts['full-rescan'],
+        detectorsDir: opts.detectors || null,
+        selectionPolicy: opts.policy || null,
         verbose: true,
       });
 
       console.log('=== ccEvo: Starting evolution cycle ===');
       const result = await engine.runCycle();
 
+      if (result.signalDetails.length > 0) {
+        const { describeSignal } = require('./src/core/signals');
+        console.log('Signals:');
+        for (const signal of result.signalDetails) console.log(`  - ${describeSignal(signal)}`);
+      }
+      if (result.suppressedSignals.length > 0) {
+        console.log('Suppressed (already handled):');
+        for (const s of result.suppressedSignals) console.log(`  - ${s.signal} (${s.capsule_id})`);
+      }
+
+      if (result.strategy) {
+        console.log(`Strategy: ${result.strategy}`);
+        for (const reason of result.strategyReasons) console.log(`  - ${reason}`);
+      }
+
       if (result.skipped) {
         console.log(`Cycle skipped: ${result.reason}`);
       } else {
         console.log(`Cycle ${result.cycle} completed.`);
-        console.log(`  Gene: ${result.gene?.id || 'none'}`);
+        console.log(`  Gene: ${result.gene?.id || 'none'} (policy: ${result.selectionPolicy})`);
+        for (const m of result.matchedSignals) {
+          console.log(`    matched ${m.pattern} <- ${m.signal} ×${m.count} [${m.severity}]${m.kind !== 'exact' ? ` (${m.kind}, ${m.weight})` : ''}`);
+        }
         console.log(`  Mutation: ${result.mutation?.category || 'none'}`);
+        console.log(`  Execution: ${result.execution ? (result.execution.success ? 'OK' : `FAILED (${String(result.execution.error).slice(0, 120)})`) : 'skipped'}`);
+        if (result.solidifyResult?.blast) {
+          const { blast, risk } = result.solidifyResult;
+          console.log(`  Blast: ${blast.files} files, ${blast.lines} lines (risk: ${risk.risk})`);
+        }
         console.log(`  Solidify: ${result.solidifyResult?.success ? 'SUCCESS' : 'FAILED'}`);
       }
 
@@ -168,9 +244,98 @@ async function main() {
       break;
     }
 
+    case 'rollback': {
+      const { revertCapsule } = require('./src/adl/revert');
+      const capsuleId = flags.find(a => !a.startsWith('--'));
+      if (!capsuleId) {
+        console.log('Usage: node index.js rollback <capsule-id> [--force] [--dry-run]');
+        process.exitCode = 1;
+        break;
+      }
+
+      console.log(`=== ccEvo: Rollback ${capsuleId}${opts['dry-run'] ? ' (dry-run)' : ''} ===`);
+      const result = revertCapsule(capsuleId, { force: !!opts.force, dryRun: !!opts['dry-run'] });
+
+      for (const c of result.conflicts) {
+        const detail = c.type === 'later_capsule' ? `touched by later ${c.capsule_id}` : 'modified since solidify';
+        console.log(`  [CONFLICT] ${c.file}: ${detail}`);
+      }
+      for (const f of result.restored) console.log(`  [RESTORED] ${f}`);
+      for (const f of result.deleted) console.log(`  [DELETED] ${f}`);
+
+      if (result.success) {
+        console.log(opts['dry-run'] ? 'Rollback check passed.' : `Capsule ${capsuleId} reverted.`);
+      } else {
+        console.log(`Rollback failed: ${result.error}`);
+        if (result.event) console.log('Capsule was not marked reverted; fix the errors and run rollback again.');
+        process.exitCode = 1;
+      }
+      break;
+    }
+
     case 'report': {
       const report = require('./scripts/report');
-      report.generateReport();
+      report.generateReport({
+        cycles: opts.cycles ? parseInt(opts.cycles, 10) : undefined,
+        cycleId: typeof opts.cycle === 'string' ? opts.cycle : undefined,
+      });
+      break;
+    }
+
+    case 'detectors': {
+      const { createDetectorRegistry } = require('./src/core/detectors');
+      const registry = createDetectorRegistry();
+      const dir = opts.detectors || process.env.CCEVO_DETECTORS_DIR;
+      if (dir) {
+        const { errors } = registry.loadDir(dir);
+        for (const err of errors) {
+          console.log(`  [ERROR] ${err.file}: ${err.error}`);
+          process.exitCode = 1;
+        }
+      }
+      console.log('=== Signal Detectors ===');
+      for (const d of registry.list()) {
+        console.log(`  ${d.name}  (${d.source})`);
+        console.log(`    consumes: ${d.consumes.join(', ')}`);
+        console.log(`    emits:    ${d.emits.join(', ')}`);
+      }
+      break;
+    }
+
+    case 'backlog': {
+      const { loadState, saveState } = require('./src/gep/store');
+      const { openRequests, updateRequest } = require('./src/core/backlog');
+      const [action, id] = flags.filter(a => !a.startsWith('--'));
+      const backlog = loadState('feature_backlog', []) || [];
+
+      if (action) {
+        const status = { done: 'addressed', dismiss: 'dismissed', reopen: 'open' }[action];
+        if (!status || !id) {
+          console.log('Usage: node index.js backlog [done|dismiss|reopen <request-id>] [--all]');
+          process.exitCode = 1;
+          break;
+        }
+        const result = updateRequest(backlog, id, status);
+        if (!result.success) {
+          console.log(`Backlog update failed: ${result.error}`);
+          process.exitCode = 1;
+          break;
+        }
+        saveState('feature_backlog', result.backlog);
+        console.log(`Feature request ${id} marked ${status}.`);
+        break;
+      }
+
+      const items = opts.all ? backlog : openRequests(backlog);
+      console.log(`=== Feature Backlog (${items.length} ${opts.all ? 'total' : 'open'}) ===`);
+      if (items.length === 0) {
+        console.log('\n(No feature requests yet. They are extracted from user messages during run.)');
+      }
+      for (const item of items) {
+        const addressed = item.capsule_ids && item.capsule_ids.length > 0 ? `  capsules: ${item.capsule_ids.join(', ')}` : '';
+        console.log(`  ${item.id} [${item.status}] ×${item.count} (${item.language})${addressed}`);
+        console.log(`    ${item.request}`);
+      }
       break;
     }
 
@@ -183,11 +348,25 @@ async function main() {
       console.log('  pcec         Start PCEC cycle');
       console.log('  tree         View capability tree');
       console.log('  report       Generate evolution report');
+      console.log('  rollback     Revert a solidified capsule (rollback <capsule-id>)');
+      console.log('  detectors    List signal detectors (built-in and --detectors= directory)');
+      console.log('  backlog      List open feature requests (backlog done|dismiss|reopen <id>)');
       console.log('\nOptions:');
       console.log('  --dry-run    Dry run mode (no actual changes)');
       console.log('  --strategy=  Force strategy (balanced/innovate/harden/repair-only)');
-      console.log('  --agent=     OpenClaw agent name');
+      console.log('  --agent=     OpenClaw agent name (signals from its recent sessions)');
+      console.log('  --all-agents run: evolve every agent under ~/.openclaw/agents/');
+      console.log('  --since=     run: ignore ingest cursors, read session entries after ISO time or 12h/7d');
+      console.log('  --full-rescan run: ignore ingest cursors and re-read all session entries');
       console.log('  --sessions=  Custom sessions directory');
+      console.log('  --detectors= Directory of extra signal detectors (default $CCEVO_DETECTORS_DIR)');
+      console.log('  --policy=    run: gene selection policy (greedy/ucb/thompson, default $CCEVO_SELECTION_POLICY or greedy)');
+      console.log('  --thinking=  Sub-agent thinking level (off/minimal/low/medium/high)');
+      console.log('  --timeout=   Sub-agent timeout in seconds');
+      console.log('  --force      rollback: revert even if later capsules touched the files');
+      console.log('  --all        backlog: include addressed and dismissed requests');
+      console.log('  --cycles=    report: number of cycle timelines to show (default 5)');
+      console.log('  --cycle=     report: show the timeline of a single cycle');
       console.log('  --once       PCEC: run single cycle');
       console.log('  --verbose    Verbose output');
       break;
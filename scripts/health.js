@@ -6,7 +6,7 @@
 
 const fs = require('node:fs');
 const path = require('node:path');
-const { loadGenes, loadCapsules, loadEvents, assetPath } = require('../src/gep/store');
+const { loadGenes, loadCapsules, countEvents, loadOntology, assetPath } = require('../src/gep/store');
 
 /**
  * 执行健康检查。
@@ -60,11 +60,14 @@ function runHealthCheck() {
   }
 
   try {
-    const events = loadEvents();
+    const lineErrors = [];
+    const eventCount = countEvents({ onError: err => lineErrors.push(err) });
     checks.push({
       name: 'events_valid',
-      ok: Array.isArray(events),
-      message: `events.jsonl: ${events.length} entries`,
+      ok: lineErrors.length === 0,
+      message: lineErrors.length === 0
+        ? `events.jsonl: ${eventCount} entries`
+        : `events.jsonl: ${lineErrors.length} bad line(s), first at line ${lineErrors[0].line} (${lineErrors[0].reason})`,
     });
   } catch (err) {
     checks.push({ name: 'events_valid', ok: false, message: `events.jsonl parse error: ${err.message}` });
@@ -88,13 +91,92 @@ function runHealthCheck() {
     checks.push({ name: 'gene_integrity', ok: false, message: err.message });
   }
 
-  // 5. 模块可加载
+  // 5. 信号本体（父节点存在、无环、别名不冲突）
+  try {
+    const { validateOntology } = require('../src/gep/ontology');
+    const ontology = loadOntology();
+    const { valid, errors } = validateOntology(ontology);
+    checks.push({
+      name: 'signal_ontology',
+      ok: valid,
+      message: valid
+        ? `signal_ontology.json: ${Object.keys(ontology.signals).length} signals`
+        : errors.join('; '),
+    });
+  } catch (err) {
+    checks.push({ name: 'signal_ontology', ok: false, message: err.message });
+  }
+
+  // 6. 信号检测器（内置 + CCEVO_DETECTORS_DIR）
+  try {
+    const { createDetectorRegistry } = require('../src/core/detectors');
+    const registry = createDetectorRegistry();
+    const dir = process.env.CCEVO_DETECTORS_DIR;
+    const errors = dir ? registry.loadDir(dir).errors : [];
+    checks.push({
+      name: 'signal_detectors',
+      ok: errors.length === 0,
+      message: errors.length === 0
+        ? `${registry.list().length} detectors registered`
+        : errors.map(e => `${path.basename(e.file)}: ${e.error}`).join('; '),
+    });
+  } catch (err) {
+    checks.push({ name: 'signal_detectors', ok: false, message: err.message });
+  }
+
+  // 7. 功能请求意图识别：已知的日常表达不得误报，典型请求必须识别
+  try {
+    const { detectFeatureRequest } = require('../src/core/intent');
+    const negatives = [
+      '我想知道这个功能怎么用',
+      '我要加班',
+      'I need to make sure the tests pass',
+      'We need to build the project first',
+      'I want to get the logs',
+    ];
+    const positives = [
+      ['Please create a file named a.txt', 'Please create a file named a.txt'],
+      ['我想要一个导出功能', '我想要一个导出功能'],
+      ['I want to add dark mode. Thanks', 'I want to add dark mode.'],
+    ];
+    const failures = [
+      ...negatives.filter(text => detectFeatureRequest(text)).map(text => `false positive: ${text}`),
+      ...positives
+        .filter(([text, request]) => detectFeatureRequest(text)?.request !== request)
+        .map(([text]) => `missed: ${text}`),
+    ];
+    checks.push({
+      name: 'intent_detection',
+      ok: failures.length === 0,
+      message: failures.length === 0
+        ? `${negatives.length + positives.length} intent samples OK`
+        : failures.join('; '),
+    });
+  } catch (err) {
+    checks.push({ name: 'intent_detection', ok: false, message: err.message });
+  }
+
+  // 8. 模块可加载
   const modules = [
     ['core/engine', '../src/core/engine'],
     ['core/signals', '../src/core/signals'],
+    ['core/fingerprint', '../src/core/fingerprint'],
+    ['core/detectors', '../src/core/detectors'],
+    ['core/intent', '../src/core/intent'],
+    ['core/backlog', '../src/core/backlog'],
+    ['core/ledger', '../src/core/ledger'],
+    ['core/effectiveness', '../src/core/effectiveness'],
+    ['core/bandit', '../src/core/bandit'],
+    ['core/cooldown', '../src/core/cooldown'],
+    ['core/ingest', '../src/core/ingest'],
     ['core/selector', '../src/core/selector'],
+    ['core/executor', '../src/core/executor'],
+    ['core/changes', '../src/core/changes'],
+    ['core/agents', '../src/core/agents'],
     ['core/solidify', '../src/core/solidify'],
     ['gep/gene', '../src/gep/gene'],
+    ['gep/ontology', '../src/gep/ontology'],
+    ['gep/fitness', '../src/gep/fitness'],
     ['gep/capsule', '../src/gep/capsule'],
     ['gep/event', '../src/gep/event'],
     ['gep/mutation', '../src/gep/mutation'],
@@ -102,9 +184,11 @@ function runHealthCheck() {
     ['tree/capability_tree', '../src/tree/capability_tree'],
     ['vfm/scorer', '../src/vfm/scorer'],
     ['adl/lock', '../src/adl/lock'],
+    ['adl/revert', '../src/adl/revert'],
     ['pcec/cycle', '../src/pcec/cycle'],
     ['strategy', '../src/strategy'],
     ['personality', '../src/personality'],
+    ['jsonl', '../src/jsonl'],
   ];
 
   for (const [name, modPath] of modules) {
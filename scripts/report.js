@@ -4,18 +4,253 @@
  * 进化报告生成。
  */
 
-const { loadGenes, loadCapsules, loadEvents } = require('../src/gep/store');
+const {
+  loadGenes, loadCapsules, loadEvents, loadState, loadGeneFitness,
+} = require('../src/gep/store');
 const { summarizeEvents } = require('../src/gep/event');
 const { analyzeTrend } = require('../src/gep/capsule');
+const { groupCycles } = require('../src/strategy');
+const { UNATTRIBUTED, agentGeneStats, agentCycleStats } = require('../src/core/agents');
+const { describeSignal } = require('../src/core/signals');
+const { openRequests } = require('../src/core/backlog');
+
+/** @constant {number} 默认展示的周期时间线数量 */
+const DEFAULT_TIMELINE_CYCLES = 5;
+
+/** @constant {number} 展示累计次数最多的错误簇数量 */
+const TOP_ERROR_CLUSTERS = 10;
+
+/** @constant {number} 展示的未处理功能请求数量 */
+const TOP_FEATURE_REQUESTS = 10;
+
+/**
+ * 事件的一行摘要。
+ *
+ * @param {Object} e - 事件
+ * @returns {string}
+ */
+function describeEvent(e) {
+  const p = e.payload || {};
+  switch (e.event_type) {
+    case 'signal_extracted': {
+      const summary = p.details
+        ? p.details.map(s => `${s.name}×${s.count}`).join(', ')
+        : `${p.count ?? (p.signals || []).length} signal(s)`;
+      return p.suppressed && p.suppressed.length > 0
+        ? `${summary}; suppressed ${p.suppressed.map(s => s.signal).join(', ')}`
+        : summary;
+    }
+    case 'gene_selected': {
+      const matched = (p.matched_signals || []).map(m => `${m.pattern} <- ${m.signal}`).join(', ');
+      const notes = [];
+      if (p.diversity) notes.push(`untried, preferred over ${p.diversity.preferred_over}`);
+      if (p.cooling_down && p.cooling_down.length > 0) notes.push(`cooling: ${p.cooling_down.map(c => c.gene_id).join(', ')}`);
+      const detail = notes.length > 0 ? `; ${notes.join('; ')}` : '';
+      return p.policy ? `${matched} [${p.policy}, score ${p.score.toFixed(2)}${detail}]` : matched;
+    }
+    case 'mutation_applied':
+      return `${p.category || ''}${p.executed ? `, ${Object.keys(p.files || {}).length} file(s)` : ', not executed'}`;
+    case 'solidify_success':
+      return p.capsule_id || '';
+    case 'solidify_failed':
+    case 'adl_violation':
+      return p.reason || (p.violations || []).join(', ');
+    case 'rollback':
+      return `${p.trigger || ''}${p.mode ? ` (${p.mode})` : ''}`;
+    case 'strategy_changed':
+      return `${p.from} -> ${p.to}`;
+    case 'cycle_complete':
+      return `${p.outcome}${p.skip_reason ? `: ${p.skip_reason}` : ''}`;
+    case 'capsule_evaluated':
+      return `${p.capsule_id} ${p.status}${p.recurred && p.recurred.length > 0 ? ` (recurred: ${p.recurred.join(', ')})` : ''}`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * 输出单个周期的时间线。
+ *
+ * @param {Object} cycle - groupCycles() 返回的周期
+ */
+function printCycleTimeline(cycle) {
+  const complete = cycle.events.find(e => e.event_type === 'cycle_complete');
+  const info = complete ? complete.payload : {};
+  const start = cycle.started_at ? Date.parse(cycle.started_at) : null;
+  const header = [
+    cycle.id || '(legacy, no cycle_id)',
+    cycle.started_at ? cycle.started_at.slice(0, 19) : 'unknown',
+    info.outcome || cycle.outcome,
+  ];
+  if (info.strategy) header.push(`strategy=${info.strategy}`);
+  if (info.duration_ms !== undefined) header.push(`${info.duration_ms}ms`);
+  console.log(`  ${header.join('  ')}`);
+
+  for (const e of cycle.events) {
+    const offset = start && e.timestamp ? `+${Date.parse(e.timestamp) - start}ms` : '';
+    const detail = describeEvent(e);
+    console.log(`    ${offset.padStart(9)} ${e.event_type}${e.gene_id ? ` (${e.gene_id})` : ''}${detail ? ` - ${detail}` : ''}`);
+  }
+}
+
+/**
+ * 汇总 cycle_complete 事件记录的 session 用量指标（干运行重复读取同一批条目，不计入）。
+ *
+ * @param {Object[]} events - 进化事件历史
+ * @returns {{ cycles: number, metrics: Object<string, number>, byAgent: Object<string, Object<string, number>> }}
+ */
+function summarizeUsage(events) {
+  const metrics = {};
+  const byAgent = {};
+  let cycles = 0;
+  for (const e of events) {
+    if (e.event_type !== 'cycle_complete' || e.payload.dry_run || !e.payload.metrics) continue;
+    cycles++;
+    const agent = byAgent[e.payload.agent || UNATTRIBUTED] ??= {};
+    for (const [key, value] of Object.entries(e.payload.metrics)) {
+      metrics[key] = (metrics[key] || 0) + value;
+      agent[key] = (agent[key] || 0) + value;
+    }
+  }
+  return { cycles, metrics, byAgent };
+}
+
+/**
+ * 单行描述用量指标：token、缓存命中率与费用。
+ *
+ * @param {Object<string, number>} m - 累计指标
+ * @returns {string}
+ */
+function describeUsage(m) {
+  const prompt = (m.tokens_input || 0) + (m.tokens_cache_read || 0) + (m.tokens_cache_write || 0);
+  const parts = [
+    `${m.usage_turns || 0} turn(s)`,
+    `in ${m.tokens_input || 0}`,
+    `out ${m.tokens_output || 0}`,
+    `cache read ${m.tokens_cache_read || 0}`,
+    `cache write ${m.tokens_cache_write || 0}`,
+  ];
+  if (prompt > 0) parts.push(`cache hit ${((m.tokens_cache_read || 0) / prompt * 100).toFixed(1)}%`);
+  if (m.cost_usd !== undefined) {
+    parts.push(`cost $${m.cost_usd.toFixed(2)}${m.usage_turns ? ` ($${(m.cost_usd / m.usage_turns).toFixed(4)}/turn)` : ''}`);
+  }
+  return parts.join('  ');
+}
+
+/**
+ * 从累计指标中按模型拆出 assistant 轮数与出错轮数。
+ *
+ * @param {Object<string, number>} metrics - 累计指标（model_turns:<model> / model_errors:<model>）
+ * @returns {Array<{ model: string, turns: number, errors: number, error_rate: number }>} 按轮数降序
+ */
+function modelStats(metrics) {
+  const models = Object.keys(metrics)
+    .filter(key => key.startsWith('model_turns:'))
+    .map(key => key.slice('model_turns:'.length));
+  return models
+    .map((model) => {
+      const turns = metrics[`model_turns:${model}`];
+      const errors = metrics[`model_errors:${model}`] || 0;
+      return { model, turns, errors, error_rate: turns > 0 ? errors / turns : 0 };
+    })
+    .sort((a, b) => b.turns - a.turns);
+}
+
+/**
+ * 按 Gene 统计成功 Capsule 的实际效果（pending / effective / ineffective / regressed）。
+ *
+ * @param {Object[]} capsules - Capsule 历史
+ * @returns {Object<string, Object<string, number>>} Gene ID → 各效果的 Capsule 数
+ */
+function effectStats(capsules) {
+  const stats = {};
+  for (const c of capsules) {
+    if (!c.effect || c.reverted) continue;
+    const gene = stats[c.gene_id] ??= {};
+    gene[c.effect.status] = (gene[c.effect.status] || 0) + 1;
+  }
+  return stats;
+}
+
+/**
+ * 按选择策略统计选中 Gene 的周期结果，以及成功 Capsule 的实际效果，用于对比各策略。
+ *
+ * @param {Object[]} events - 进化事件历史
+ * @param {Object[]} capsules - Capsule 历史
+ * @returns {Object<string, { cycles: number, success: number, failed: number, effective: number, evaluated: number }>}
+ *   策略 → 选中 Gene 的周期数、固化成功 / 失败数、已评估与实际有效的 Capsule 数
+ */
+function policyStats(events, capsules) {
+  const byId = new Map(capsules.map(c => [c.id, c]));
+  const capsuleOf = new Map(events
+    .filter(e => e.event_type === 'solidify_success' && e.cycle_id)
+    .map(e => [e.cycle_id, byId.get(e.payload.capsule_id)]));
+
+  const stats = {};
+  for (const e of events) {
+    if (e.event_type !== 'cycle_complete' || !e.payload.selection_policy || !e.gene_id) continue;
+    const s = stats[e.payload.selection_policy] ??= { cycles: 0, success: 0, failed: 0, effective: 0, evaluated: 0 };
+    s.cycles++;
+    if (e.payload.outcome === 'success') s.success++;
+    else if (e.payload.outcome === 'failed') s.failed++;
+    const capsule = capsuleOf.get(e.cycle_id);
+    if (capsule?.effect && capsule.effect.status !== 'pending') {
+      s.evaluated++;
+      if (capsule.effect.status === 'effective') s.effective++;
+    }
+  }
+  return stats;
+}
+
+/**
+ * 输出按 agent 汇总的周期结果和 Gene 统计。
+ *
+ * @param {Object[]} capsules - Capsule 历史
+ * @param {Object[]} events - 进化事件历史
+ * @param {string[]} [agents] - 只输出这些 agent（默认全部）
+ */
+function printAgentSummary(capsules, events, agents) {
+  const geneStats = agentGeneStats(capsules);
+  const cycleStats = agentCycleStats(events);
+  const names = agents || [...new Set([...Object.keys(cycleStats), ...Object.keys(geneStats)])].sort();
+
+  for (const agent of names) {
+    const outcomes = cycleStats[agent] || {};
+    const cycles = Object.values(outcomes).reduce((a, b) => a + b, 0);
+    const detail = Object.entries(outcomes).map(([k, v]) => `${k}=${v}`).join(' ');
+    console.log(`  ${agent}: ${cycles} cycle(s)${detail ? ` (${detail})` : ''}`);
+
+    const genes = Object.entries(geneStats[agent] || {}).sort((a, b) => b[1].attempts - a[1].attempts);
+    for (const [geneId, g] of genes) {
+      const reverted = g.reverted > 0 ? `, ${g.reverted} reverted` : '';
+      console.log(`    ${geneId}: ${g.successes}/${g.attempts} (${(g.success_rate * 100).toFixed(0)}%${reverted})`);
+    }
+  }
+}
 
 /**
  * 生成并输出进化报告。
+ *
+ * @param {Object} [options] - 选项
+ * @param {number} [options.cycles=5] - 展示最近几个周期的时间线
+ * @param {string} [options.cycleId] - 只输出指定周期的时间线
  */
-function generateReport() {
+function generateReport(options = {}) {
   const genes = loadGenes();
   const capsules = loadCapsules();
   const events = loadEvents();
 
+  if (options.cycleId) {
+    const cycle = groupCycles(events).find(c => c.id === options.cycleId);
+    if (!cycle) {
+      console.log(`Cycle not found: ${options.cycleId}`);
+      process.exitCode = 1;
+      return;
+    }
+    printCycleTimeline(cycle);
+    return;
+  }
+
   console.log('╔══════════════════════════════════════════════╗');
   console.log('║         ccEvo Evolution Report               ║');
   console.log('╚══════════════════════════════════════════════╝');
@@ -35,6 +270,9 @@ function generateReport() {
   // Capsule 统计
   console.log('--- Capsule History ---');
   console.log(`  Total capsules: ${capsules.length}`);
+  const failedAttempts = capsules.filter(c => c.success === false).length;
+  const reverted = capsules.filter(c => c.reverted).length;
+  console.log(`  Failed attempts: ${failedAttempts}  Reverted: ${reverted}`);
   const trend = analyzeTrend(capsules);
   console.log(`  Trend: ${trend.trend}  Success rate: ${(trend.success_rate * 100).toFixed(1)}%`);
   console.log();
@@ -59,6 +297,164 @@ function generateReport() {
     console.log();
   }
 
+  // 近期信号：合并最近 10 次 signal_extracted 的结构化信号
+  const extracted = events.filter(e => e.event_type === 'signal_extracted' && e.payload.details).slice(-10);
+  if (extracted.length > 0) {
+    const merged = new Map();
+    for (const e of extracted) {
+      for (const s of e.payload.details) {
+        const m = merged.get(s.name) || { ...s, count: 0, cycles: 0 };
+        m.count += s.count;
+        m.cycles++;
+        if (s.last_seen && (!m.last_seen || s.last_seen > m.last_seen)) m.last_seen = s.last_seen;
+        m.evidence = s.evidence.length > 0 ? s.evidence : m.evidence;
+        merged.set(s.name, m);
+      }
+    }
+    console.log(`--- Signals (last ${extracted.length} extraction(s)) ---`);
+    const sorted = [...merged.values()].sort((a, b) => b.count - a.count);
+    for (const s of sorted) {
+      console.log(`  ${describeSignal(s)}  (${s.cycles} cycle(s))`);
+    }
+    console.log();
+  }
+
+  // 错误簇：按累计次数排序，附示例消息
+  const clusters = Object.entries(loadState('error_clusters', {}) || {});
+  if (clusters.length > 0) {
+    console.log(`--- Error Clusters (top ${Math.min(TOP_ERROR_CLUSTERS, clusters.length)} of ${clusters.length}) ---`);
+    const top = clusters.sort((a, b) => b[1].count - a[1].count).slice(0, TOP_ERROR_CLUSTERS);
+    for (const [id, c] of top) {
+      console.log(`  errsig:${id}  ×${c.count}${c.last_seen ? `  last ${c.last_seen.slice(0, 19)}` : ''}`);
+      console.log(`    e.g. ${c.exemplar}`);
+    }
+    console.log();
+  }
+
+  // 实际效果：固化后触发信号是否真正消失
+  const effects = Object.entries(effectStats(capsules));
+  if (effects.length > 0) {
+    console.log('--- Effectiveness ---');
+    for (const [geneId, counts] of effects.sort((a, b) => a[0].localeCompare(b[0]))) {
+      const detail = ['effective', 'regressed', 'ineffective', 'pending']
+        .filter(s => counts[s])
+        .map(s => `${s}=${counts[s]}`)
+        .join('  ');
+      console.log(`  ${geneId}: ${detail}`);
+    }
+    console.log();
+  }
+
+  // Gene 适应度：尝试、成功、回退、平均 blast 与实际效果，尝试多的在前
+  const fitness = Object.entries(loadGeneFitness());
+  if (fitness.length > 0) {
+    console.log('--- Gene Fitness ---');
+    for (const [geneId, f] of fitness.sort((a, b) => b[1].attempts - a[1].attempts)) {
+      const effect = f.effectiveness === null ? '' : `  effect ${f.effectiveness.toFixed(2)} (${f.evaluated})`;
+      console.log(
+        `  ${geneId}: ${f.successes}/${f.attempts} (${(f.success_rate * 100).toFixed(0)}%)` +
+        `  rollbacks ${f.rollbacks}  blast ${f.avg_blast_files.toFixed(1)}f/${f.avg_blast_lines.toFixed(0)}l` +
+        `  reward ${f.reward_mean.toFixed(2)}${effect}`,
+      );
+    }
+    console.log();
+  }
+
+  // Gene 冷却：冷却中的 Gene 与连续失败次数
+  const cooldowns = Object.entries(loadState('gene_cooldowns', {}) || {});
+  if (cooldowns.length > 0) {
+    console.log('--- Gene Cooldowns ---');
+    for (const [geneId, c] of cooldowns.sort((a, b) => b[1].remaining - a[1].remaining)) {
+      const failures = c.failures > 0 ? `  ${c.failures} consecutive failure(s)` : '';
+      console.log(`  ${geneId}: ${c.remaining > 0 ? `${c.remaining} cycle(s) left after ${c.reason}` : 'ready'}${failures}`);
+    }
+    console.log();
+  }
+
+  // 选择策略对比：按 --policy / CCEVO_SELECTION_POLICY 分组的周期结果
+  const policies = Object.entries(policyStats(events, capsules));
+  if (policies.length > 0) {
+    console.log('--- Selection Policies ---');
+    for (const [policy, p] of policies.sort((a, b) => a[0].localeCompare(b[0]))) {
+      const attempted = p.success + p.failed;
+      const rate = attempted > 0 ? `${(p.success / attempted * 100).toFixed(0)}%` : 'n/a';
+      const effect = p.evaluated > 0 ? `  effective ${p.effective}/${p.evaluated}` : '';
+      console.log(`  ${policy}: ${p.cycles} cycle(s), success ${p.success}/${attempted} (${rate})${effect}`);
+    }
+    console.log();
+  }
+
+  // 确认账本：已被 Capsule 处理的信号，最近处理的在前
+  const ledger = Object.entries(loadState('signal_ledger', {}) || {})
+    .sort((a, b) => b[1].handled_at.localeCompare(a[1].handled_at));
+  if (ledger.length > 0) {
+    console.log(`--- Acknowledged Signals (${ledger.length}) ---`);
+    for (const [signal, entry] of ledger) {
+      const regressed = entry.regressed_at ? `  REGRESSED ${entry.regressed_at.slice(0, 19)}` : '';
+      console.log(`  ${signal}  <- ${entry.capsule_id} (${entry.gene_id}) ${entry.handled_at.slice(0, 19)}${regressed}`);
+    }
+    console.log();
+  }
+
+  // 功能请求待办：未处理的请求，按被提出次数排序
+  const backlog = loadState('feature_backlog', []) || [];
+  const open = openRequests(backlog);
+  if (open.length > 0) {
+    console.log(`--- Feature Backlog (top ${Math.min(TOP_FEATURE_REQUESTS, open.length)} of ${open.length} open) ---`);
+    for (const item of open.slice(0, TOP_FEATURE_REQUESTS)) {
+      console.log(`  ${item.id}  ×${item.count} [${item.language}]${item.last_seen ? `  last ${item.last_seen.slice(0, 19)}` : ''}`);
+      console.log(`    ${item.request}`);
+    }
+    console.log();
+  }
+
+  // 周期时间线
+  const cycles = groupCycles(events);
+  if (cycles.length > 0) {
+    const limit = options.cycles || DEFAULT_TIMELINE_CYCLES;
+    const completed = events.filter(e => e.event_type === 'cycle_complete');
+    const outcomes = {};
+    for (const e of completed) outcomes[e.payload.outcome] = (outcomes[e.payload.outcome] || 0) + 1;
+    console.log(`--- Cycles (last ${Math.min(limit, cycles.length)} of ${cycles.length}) ---`);
+    if (completed.length > 0) {
+      console.log(`  Outcomes: ${Object.entries(outcomes).map(([k, v]) => `${k}=${v}`).join('  ')}`);
+    }
+    for (const cycle of cycles.slice(-limit)) {
+      printCycleTimeline(cycle);
+    }
+    console.log();
+  }
+
+  // 成本：session 的累计 token 用量与费用
+  const usage = summarizeUsage(events);
+  if (usage.metrics.usage_turns) {
+    console.log(`--- Cost (${usage.cycles} cycle(s) with session usage) ---`);
+    console.log(`  ${describeUsage(usage.metrics)}`);
+    const agents = Object.keys(usage.byAgent);
+    if (agents.length > 1 || (agents.length === 1 && agents[0] !== UNATTRIBUTED)) {
+      for (const agent of agents.sort()) console.log(`  ${agent}: ${describeUsage(usage.byAgent[agent])}`);
+    }
+    console.log();
+  }
+
+  // 按模型统计 assistant 错误率：错误集中在某个模型时更可能是模型退化而非 skill 缺陷
+  const models = modelStats(usage.metrics);
+  if (models.length > 0) {
+    console.log('--- Models ---');
+    for (const m of models) {
+      console.log(`  ${m.model}: ${m.turns} turn(s), ${m.errors} error(s) (${(m.error_rate * 100).toFixed(1)}%)`);
+    }
+    console.log();
+  }
+
+  // 按 agent 汇总（仅在有 agent 记录时输出）
+  const agentStats = agentCycleStats(events);
+  if (capsules.some(c => c.agent) || Object.keys(agentStats).some(a => a !== UNATTRIBUTED)) {
+    console.log('--- Agents ---');
+    printAgentSummary(capsules, events);
+    console.log();
+  }
+
   // 健康指标
   console.log('--- Health ---');
   const failCount = events.filter(e => e.event_type === 'solidify_failed').length;
@@ -79,4 +475,6 @@ function generateReport() {
   console.log();
 }
 
-module.exports = { generateReport };
+module.exports = {
+  generateReport, printAgentSummary, summarizeUsage, modelStats, effectStats, policyStats,
+};
@@ -1,5 +1,7 @@
 'use strict';
 
+const { isCapsuleSuccessful } = require('../gep/capsule');
+
 /**
  * ADL 反进化锁。
  *
@@ -18,26 +20,140 @@ const VAGUE_TERMS = [
   'to some extent',
 ];
 
+/** Gene 未声明约束时的默认值（与 createGene 保持一致） */
+const DEFAULT_CONSTRAINTS = {
+  max_files: 12,
+  forbidden_paths: ['.git', 'node_modules'],
+};
+
+/**
+ * 将 glob 模式转换为正则表达式。
+ *
+ * 支持 `**`（任意层目录）、`*`（单层内任意字符）和 `?`（单个字符）。
+ *
+ * @param {string} pattern - glob 模式，如 "src/**" 或 "*.pem"
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * 判断文件路径是否命中路径模式。
+ *
+ * - 含通配符的模式按 glob 匹配完整路径，也匹配其下的子路径；
+ *   不含 / 的模式匹配任意层级的文件/目录名
+ * - 普通路径匹配同名文件/目录本身、其子路径，以及任意层级下的同名路径
+ *
+ * @param {string} pattern - 路径模式
+ * @param {string} filePath - 相对路径
+ * @returns {boolean}
+ */
+function matchesPath(pattern, filePath) {
+  if (!pattern || !filePath) return false;
+  const file = filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+  const pat = pattern.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/$/, '');
+
+  if (/[*?]/.test(pat)) {
+    const re = globToRegExp(pat);
+    const parts = file.split('/');
+    // 不含 / 的模式（如 *.pem）匹配任意层级的文件/目录名
+    if (!pat.includes('/')) return parts.some((part) => re.test(part));
+    // 模式命中某个父目录时，其下所有文件都算命中
+    for (let i = parts.length; i > 0; i--) {
+      if (re.test(parts.slice(0, i).join('/'))) return true;
+    }
+    return false;
+  }
+
+  return (
+    file === pat ||
+    file.startsWith(pat + '/') ||
+    file.endsWith('/' + pat) ||
+    file.includes('/' + pat + '/')
+  );
+}
+
+/**
+ * Gene 约束门控：检查变更是否违反 Gene 声明的 constraints。
+ *
+ * - max_files：变更文件数（含新增、删除）不得超过上限
+ * - forbidden_paths：任何变更文件不得命中禁止路径（支持 glob）
+ *
+ * @param {Object} gene - Gene 对象
+ * @param {string[]} files - 本次变更涉及的全部文件（相对路径）
+ * @returns {{ ok: boolean, violations: string[], offending_paths: string[] }}
+ */
+function checkGeneConstraints(gene, files) {
+  const constraints = { ...DEFAULT_CONSTRAINTS, ...(gene && gene.constraints) };
+  const list = Array.isArray(files) ? files : [];
+  const violations = [];
+  const offending = new Set();
+
+  if (typeof constraints.max_files === 'number' && list.length > constraints.max_files) {
+    violations.push(`max_files_exceeded: ${list.length} > ${constraints.max_files}`);
+  }
+
+  for (const file of list) {
+    const hit = (constraints.forbidden_paths || []).find((p) => matchesPath(p, file));
+    if (hit) {
+      offending.add(file);
+      violations.push(`forbidden_path: ${file} (${hit})`);
+    }
+  }
+
+  return { ok: violations.length === 0, violations, offending_paths: [...offending] };
+}
+
+/**
+ * 计入稳定性窗口的 Capsule 结果：只看执行与验证的结果。
+ * 门控本身造成的失败（adl_violation、gene_constraint_violation）和变更检测失败不计入，
+ * 否则一次稳定性回归拒绝的尝试会让之后的窗口继续回归，门控自我锁死。
+ */
+const STABILITY_OUTCOMES = new Set(['success', 'execution_failed', 'validation_failed']);
+
 /**
  * 检查最近的 capsule 历史是否出现稳定性回归。
  *
  * 比较最近 5 个 capsule 的成功率与前 5 个的成功率，
  * 如果最近成功率 < 前期成功率 * 0.9，视为回归。
+ * 只统计 STABILITY_OUTCOMES 中的结果（没有 outcome 的旧 Capsule 也计入）。
  *
- * @param {Object[]} capsuleHistory - 历史 Capsule 列表，每项应有 success 布尔字段
+ * @param {Object[]} capsuleHistory - 历史 Capsule 列表（含失败尝试），成败由 isCapsuleSuccessful 判定
  * @returns {boolean} 是否存在稳定性回归
  */
 function hasStabilityRegression(capsuleHistory) {
-  if (!Array.isArray(capsuleHistory) || capsuleHistory.length < 10) {
+  if (!Array.isArray(capsuleHistory)) return false;
+  const history = capsuleHistory.filter(c => !c.outcome || STABILITY_OUTCOMES.has(c.outcome));
+  if (history.length < 10) {
     return false;
   }
 
-  const recent = capsuleHistory.slice(-5);
-  const previous = capsuleHistory.slice(-10, -5);
+  const recent = history.slice(-5);
+  const previous = history.slice(-10, -5);
 
   const successRate = (items) => {
     if (items.length === 0) return 1;
-    const successes = items.filter((c) => c.success === true).length;
+    const successes = items.filter(isCapsuleSuccessful).length;
     return successes / items.length;
   };
 
@@ -103,4 +219,12 @@ function checkADL(mutation, blast, capsuleHistory) {
   return { ok: violations.length === 0, violations };
 }
 
-module.exports = { checkADL, hasStabilityRegression, VAGUE_TERMS };
+module.exports = {
+  checkADL,
+  checkGeneConstraints,
+  hasStabilityRegression,
+  matchesPath,
+  globToRegExp,
+  DEFAULT_CONSTRAINTS,
+  VAGUE_TERMS,
+};
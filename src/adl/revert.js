@@ -0,0 +1,247 @@
+'use strict';
+
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const { isProtected } = require('./rollback');
+
+/**
+ * Capsule 回退。
+ *
+ * 将一次已固化进化（Capsule）的 files_changed 恢复到变异前的内容，
+ * 记录 rollback 事件并把 Capsule 标记为已回退。
+ */
+
+/**
+ * 在工作目录执行 git 命令，返回 Buffer。参数不经过 shell，文件名不会被展开。
+ *
+ * @param {string} workDir - 工作目录
+ * @param {string[]} args - git 参数
+ * @returns {Buffer}
+ */
+function gitRaw(workDir, args) {
+  return execFileSync('git', args, {
+    cwd: workDir,
+    stdio: ['pipe', 'pipe', 'pipe'],
+    maxBuffer: 64 * 1024 * 1024,
+  });
+}
+
+/**
+ * 读取 tree 中某个路径的 blob 对象 ID，不存在时返回 null。
+ *
+ * @param {string} workDir - 工作目录
+ * @param {string} tree - tree 哈希
+ * @param {string} file - 相对于工作目录的路径（工作目录可以是仓库子目录）
+ * @returns {string|null}
+ */
+function blobId(workDir, tree, file) {
+  try {
+    return gitRaw(workDir, ['rev-parse', '--verify', '--quiet', `${tree}:./${file}`]).toString().trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 计算工作区文件当前的 blob 对象 ID，文件不存在时返回 null。
+ *
+ * @param {string} workDir - 工作目录
+ * @param {string} file - 相对路径
+ * @returns {string|null}
+ */
+function worktreeBlobId(workDir, file) {
+  if (!fs.existsSync(path.join(workDir, file))) return null;
+  try {
+    return gitRaw(workDir, ['hash-object', '--', file]).toString().trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 查找与目标 Capsule 冲突的情况。
+ *
+ * - later_capsule：之后成功固化且未回退的 Capsule 修改过同一文件
+ * - modified_since：文件在 Capsule 固化后又被改动（仅 git 快照可检测；
+ *   已是变异前内容的文件，如上次部分回退时已恢复的，不算冲突）
+ *
+ * @param {Object} capsule - 目标 Capsule
+ * @param {Object[]} capsules - 全部 Capsule（按时间排序）
+ * @returns {Array<{ type: string, file: string, capsule_id?: string }>}
+ */
+function findConflicts(capsule, capsules) {
+  const conflicts = [];
+  const files = new Set(capsule.files_changed || []);
+  const index = capsules.findIndex(c => c.id === capsule.id);
+
+  for (const later of capsules.slice(index + 1)) {
+    if (later.reverted || later.success === false) continue;
+    for (const file of later.files_changed || []) {
+      if (files.has(file)) {
+        conflicts.push({ type: 'later_capsule', file, capsule_id: later.id });
+      }
+    }
+  }
+
+  const snap = capsule.snapshot;
+  if (snap && snap.mode === 'git' && capsule.workspace) {
+    const touched = new Set(conflicts.map(c => c.file));
+    for (const file of files) {
+      if (touched.has(file)) continue;
+      const current = worktreeBlobId(capsule.workspace, file);
+      if (current === blobId(capsule.workspace, snap.before, file)) continue;
+      if (current !== blobId(capsule.workspace, snap.after, file)) {
+        conflicts.push({ type: 'modified_since', file });
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * 把单个文件恢复到 Capsule 变异前的内容。
+ *
+ * @param {string} workDir - 工作目录
+ * @param {Object} snap - Capsule 快照引用
+ * @param {string} file - 相对路径
+ * @returns {'restored'|'deleted'|'unchanged'}
+ * @throws {Error} 无法取得变异前内容时
+ */
+function revertFile(workDir, snap, file) {
+  const fullPath = path.join(workDir, file);
+  let content = null;
+
+  if (snap.mode === 'git') {
+    const id = blobId(workDir, snap.before, file);
+    if (id) content = gitRaw(workDir, ['cat-file', 'blob', id]);
+  } else {
+    const hash = snap.before ? snap.before[file] : null;
+    if (hash) {
+      const blob = path.join(snap.blob_dir, hash);
+      if (!fs.existsSync(blob)) throw new Error('journal copy missing');
+      content = fs.readFileSync(blob);
+    }
+  }
+
+  if (content === null) {
+    // 变异前不存在 → 删除
+    if (!fs.existsSync(fullPath)) return 'unchanged';
+    if (isProtected(file)) throw new Error('protected path');
+    fs.unlinkSync(fullPath);
+    return 'deleted';
+  }
+
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, content);
+  return 'restored';
+}
+
+/**
+ * 回退一个已固化的 Capsule。
+ *
+ * 存在冲突（之后的 Capsule 修改过同一文件，或文件在固化后被改动）时拒绝执行，
+ * 除非 force 为 true。每次回退都追加 rollback 事件；全部文件恢复成功时把 Capsule
+ * 标记为 reverted，使 analyzeTrend 与 VFM 评分不再将其计为成功。有文件恢复失败时
+ * 只记录 revert_state（partial / failed）与错误，Capsule 仍计为成功，可以再次回退。
+ *
+ * @param {string} capsuleId - Capsule ID
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.force=false] - 忽略冲突强制回退
+ * @param {boolean} [options.dryRun=false] - 只检查不执行
+ * @returns {{ success: boolean, capsule_id: string, restored: string[], deleted: string[], conflicts: Object[], event: Object|null, error: string|null }}
+ */
+function revertCapsule(capsuleId, options = {}) {
+  const { loadCapsules, saveCapsules, appendEvent } = require('../gep/store');
+  const { createEvent } = require('../gep/event');
+
+  const result = {
+    success: false,
+    capsule_id: capsuleId,
+    restored: [],
+    deleted: [],
+    conflicts: [],
+    event: null,
+    error: null,
+  };
+
+  const capsules = loadCapsules();
+  const capsule = capsules.find(c => c.id === capsuleId);
+  if (!capsule) {
+    result.error = `Capsule not found: ${capsuleId}`;
+    return result;
+  }
+  if (capsule.success === false) {
+    result.error = `Capsule records a failed attempt (${capsule.outcome}); it was already rolled back`;
+    return result;
+  }
+  if (capsule.reverted) {
+    result.error = `Capsule already reverted at ${capsule.reverted_at}`;
+    return result;
+  }
+  if (capsule.snapshot_pruned_at) {
+    result.error = `Capsule snapshot was pruned at ${capsule.snapshot_pruned_at}; only the most recent journal backups are kept`;
+    return result;
+  }
+  if (!capsule.snapshot || !capsule.workspace) {
+    result.error = 'Capsule has no snapshot reference; it was solidified without a pre-mutation snapshot';
+    return result;
+  }
+
+  result.conflicts = findConflicts(capsule, capsules);
+  if (result.conflicts.length > 0 && !options.force) {
+    result.error = `Refusing to revert: ${result.conflicts.length} conflict(s), use force to override`;
+    return result;
+  }
+  if (options.dryRun) {
+    result.success = true;
+    return result;
+  }
+
+  const errors = [];
+  for (const file of capsule.files_changed || []) {
+    try {
+      const outcome = revertFile(capsule.workspace, capsule.snapshot, file);
+      if (outcome === 'restored') result.restored.push(file);
+      else if (outcome === 'deleted') result.deleted.push(file);
+    } catch (err) {
+      errors.push(`${file}: ${err.message}`);
+    }
+  }
+
+  result.event = createEvent({
+    event_type: 'rollback',
+    payload: {
+      trigger: 'capsule_revert',
+      capsule_id: capsule.id,
+      gene_id: capsule.gene_id,
+      forced: !!options.force && result.conflicts.length > 0,
+      conflicts: result.conflicts,
+      restored: result.restored,
+      deleted: result.deleted,
+      error: errors.length > 0 ? errors.join('; ') : null,
+    },
+    gene_id: capsule.gene_id,
+  });
+  appendEvent(result.event);
+
+  capsule.revert_event_id = result.event.id;
+  if (errors.length === 0) {
+    capsule.reverted = true;
+    capsule.reverted_at = result.event.timestamp;
+    capsule.revert_state = null;
+    capsule.revert_error = null;
+  } else {
+    const reverted = result.restored.length + result.deleted.length;
+    capsule.revert_state = reverted > 0 ? 'partial' : 'failed';
+    capsule.revert_error = errors.join('; ');
+  }
+  saveCapsules(capsules);
+
+  result.success = errors.length === 0;
+  result.error = errors.length > 0 ? errors.join('; ') : null;
+  return result;
+}
+
+module.exports = { revertCapsule, findConflicts };
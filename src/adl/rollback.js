@@ -1,18 +1,41 @@
 'use strict';
 
-const { execSync } = require('node:child_process');
+const { execFileSync } = require('node:child_process');
+const crypto = require('node:crypto');
+const os = require('node:os');
 const path = require('node:path');
 const fs = require('node:fs');
+const { ASSETS_DIR } = require('../gep/store');
 
 /**
  * ADL 回滚机制。
  *
  * 提供进化前快照创建和进化失败后的回滚能力。
  * 保护关键路径不被误删。
+ *
+ * 两种回滚模式：
+ * - 文件级：rollback() 对指定文件 git checkout / 删除新文件
+ * - 快照级：createWorkspaceSnapshot() + restoreSnapshot() 恢复变异前的整个工作区，
+ *   包括用户未提交的修改；非 git 目录回退到内容哈希文件日志（journal）
  */
 
 /** 保护路径，回滚时不删除 */
-const PROTECTED_PATHS = ['package.json', 'SKILL.md', 'assets/', '.git/', 'node_modules/'];
+const PROTECTED_PATHS = ['package.json', 'SKILL.md', '.git/', 'node_modules/'];
+
+/**
+ * 整树恢复、快照和变更检测固定跳过的路径。ccEvo 自身的资产目录在变异期间仍会被引擎写入，
+ * 位于工作目录内时另行跳过（见 restoreExcludedPaths）。
+ */
+const RESTORE_EXCLUDED_PATHS = ['.git/'];
+
+/** journal 模式下单文件备份上限（字节），超出的文件只记录哈希 */
+const JOURNAL_MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+/** journal 模式下为回退保留备份的成功 Capsule 数，更早的备份会被删除 */
+const JOURNAL_MAX_KEPT = 20;
+
+/** journal 备份根目录（可用 CCEVO_JOURNAL_DIR 覆盖） */
+const JOURNAL_DIR = process.env.CCEVO_JOURNAL_DIR || path.join(os.tmpdir(), 'ccevo-journal');
 
 /**
  * 检查文件是否在保护路径下。
@@ -57,7 +80,7 @@ function isProtected(filePath) {
  */
 function createSnapshot(workDir) {
   try {
-    const result = execSync('git stash create', {
+    const result = execFileSync('git', ['stash', 'create'], {
       cwd: workDir,
       encoding: 'utf-8',
       stdio: ['pipe', 'pipe', 'pipe'],
@@ -74,6 +97,413 @@ function createSnapshot(workDir) {
   }
 }
 
+/**
+ * 工作目录下整树恢复时跳过的路径前缀：固定的 RESTORE_EXCLUDED_PATHS，
+ * 加上 ccEvo 资产目录相对于工作目录的路径（仅当资产目录位于工作目录内）。
+ * 项目自己的 assets/ 等目录照常恢复。
+ *
+ * @param {string} workDir - 工作目录
+ * @returns {string[]}
+ */
+function restoreExcludedPaths(workDir) {
+  const rel = path.relative(path.resolve(workDir), ASSETS_DIR);
+  if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) return RESTORE_EXCLUDED_PATHS;
+  return [...RESTORE_EXCLUDED_PATHS, `${rel.split(path.sep).join('/')}/`];
+}
+
+/**
+ * 检查文件是否应在整树恢复时跳过。
+ *
+ * @param {string} filePath - 相对于工作目录的路径
+ * @param {string} workDir - 工作目录
+ * @returns {boolean}
+ */
+function isRestoreExcluded(filePath, workDir) {
+  const normalized = filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+  return restoreExcludedPaths(workDir).some((p) => normalized.startsWith(p));
+}
+
+/**
+ * 在工作目录执行 git 命令（参数数组直接传给 git，不经过 shell，
+ * 文件名中的 $、反引号等不会被展开）。
+ *
+ * @param {string} workDir - 工作目录
+ * @param {string[]} args - git 参数
+ * @param {Object} [env] - 额外环境变量
+ * @returns {string} 标准输出（已 trim）
+ */
+function git(workDir, args, env) {
+  return execFileSync('git', args, {
+    cwd: workDir,
+    encoding: 'utf-8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    maxBuffer: 64 * 1024 * 1024,
+    env: env ? { ...process.env, ...env } : process.env,
+  }).trim();
+}
+
+/**
+ * 使用临时 index 执行操作，结束后删除临时 index。
+ *
+ * @param {string} workDir - 工作目录
+ * @param {Function} fn - 回调 (env) => any，env 含 GIT_INDEX_FILE
+ * @param {boolean} [seed=false] - 是否以当前 index 为初始内容（复用 stat 缓存，避免全量重新哈希）
+ * @returns {*} 回调返回值
+ */
+function withTempIndex(workDir, fn, seed = false) {
+  const tmpIndex = path.join(os.tmpdir(), `ccevo-index-${crypto.randomUUID().slice(0, 8)}`);
+  try {
+    if (seed) {
+      const realIndex = path.resolve(workDir, git(workDir, ['rev-parse', '--git-path', 'index']));
+      if (fs.existsSync(realIndex)) fs.copyFileSync(realIndex, tmpIndex);
+    }
+    return fn({ GIT_INDEX_FILE: tmpIndex });
+  } finally {
+    try { fs.unlinkSync(tmpIndex); } catch { /* 未创建 */ }
+  }
+}
+
+/**
+ * 把当前工作区（含未跟踪、不含忽略文件）写成 git tree 对象。
+ *
+ * @param {string} workDir - 工作目录
+ * @returns {string} tree 哈希
+ */
+function writeWorktreeTree(workDir) {
+  return withTempIndex(workDir, (env) => {
+    git(workDir, ['add', '-A'], env);
+    return git(workDir, ['write-tree'], env);
+  }, true);
+}
+
+/**
+ * 计算文件内容哈希，文件不可读时返回 null。
+ *
+ * @param {string} filepath - 文件完整路径
+ * @returns {string|null}
+ */
+function hashFile(filepath) {
+  try {
+    return crypto.createHash('sha1').update(fs.readFileSync(filepath)).digest('hex');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 递归列出目录下的文件（跳过 .git 和 node_modules）。
+ *
+ * @param {string} workDir - 根目录
+ * @param {string} [rel=''] - 当前相对路径
+ * @returns {string[]} 相对路径列表
+ */
+function walkFiles(workDir, rel = '') {
+  const files = [];
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(workDir, rel), { withFileTypes: true });
+  } catch {
+    return files;
+  }
+  for (const entry of entries) {
+    if (entry.name === '.git' || entry.name === 'node_modules') continue;
+    const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...walkFiles(workDir, relPath));
+    } else if (entry.isFile()) {
+      files.push(relPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * 创建内容哈希文件日志（非 git 目录的快照）。
+ *
+ * 每个文件记录 sha1，内容按哈希去重备份到临时目录。
+ *
+ * @param {string} workDir - 工作目录
+ * @returns {Object} journal 快照
+ */
+function createJournal(workDir) {
+  const id = `journal_${crypto.randomUUID().slice(0, 8)}`;
+  const blobDir = path.join(JOURNAL_DIR, id);
+  fs.mkdirSync(blobDir, { recursive: true });
+
+  const files = {};
+  const unrestorable = [];
+  for (const file of walkFiles(workDir)) {
+    if (isRestoreExcluded(file, workDir)) continue;
+    const fullPath = path.join(workDir, file);
+    const hash = hashFile(fullPath);
+    if (!hash) continue;
+    files[file] = hash;
+    const blob = path.join(blobDir, hash);
+    if (fs.existsSync(blob)) continue;
+    if (fs.statSync(fullPath).size > JOURNAL_MAX_FILE_BYTES) {
+      unrestorable.push(file);
+      continue;
+    }
+    fs.copyFileSync(fullPath, blob);
+  }
+
+  return { mode: 'journal', id, blob_dir: blobDir, files, unrestorable, created_at: new Date().toISOString() };
+}
+
+/**
+ * 创建可完整恢复的工作区快照。
+ *
+ * git 仓库：记录 HEAD、index tree 和工作区 tree（含未跟踪文件），
+ * 不修改工作区、index 和 stash 列表；
+ * 非 git 目录：回退到内容哈希文件日志。
+ *
+ * @param {string} workDir - 工作目录
+ * @returns {{ mode: 'git'|'journal', ... }|null} 快照，失败时返回 null
+ */
+function createWorkspaceSnapshot(workDir) {
+  try {
+    const head = git(workDir, ['rev-parse', '--verify', 'HEAD']);
+    return {
+      mode: 'git',
+      head,
+      index_tree: git(workDir, ['write-tree']),
+      worktree_tree: writeWorktreeTree(workDir),
+      created_at: new Date().toISOString(),
+    };
+  } catch {
+    // 非 git 仓库、空仓库或 index 冲突 → journal
+  }
+
+  try {
+    return createJournal(workDir);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 从 git 快照恢复工作区、index 和 HEAD。
+ *
+ * @param {string} workDir - 工作目录
+ * @param {Object} snapshot - git 快照
+ * @returns {{ restored: string[], deleted: string[], errors: string[] }}
+ */
+function restoreGitSnapshot(workDir, snapshot) {
+  const restored = [];
+  const deleted = [];
+  const errors = [];
+
+  // 1. 工作区：以快照 tree 为临时 index，找出被修改/删除/新增的文件
+  withTempIndex(workDir, (env) => {
+    git(workDir, ['read-tree', snapshot.worktree_tree], env);
+    try {
+      git(workDir, ['update-index', '-q', '--refresh'], env);
+    } catch {
+      // 有变更时 --refresh 以非零退出，属正常情况
+    }
+    const split = (out) => out.split('\0').filter(Boolean);
+    const changed = split(git(workDir, ['ls-files', '-z', '--modified', '--deleted'], env));
+    const added = split(git(workDir, ['ls-files', '-z', '--others', '--exclude-standard'], env));
+
+    for (const file of [...new Set(changed)]) {
+      if (isRestoreExcluded(file, workDir)) continue;
+      try {
+        git(workDir, ['checkout-index', '-f', '--', file], env);
+        restored.push(file);
+      } catch (err) {
+        errors.push(`restore ${file}: ${err.message}`);
+      }
+    }
+
+    for (const file of added) {
+      if (isRestoreExcluded(file, workDir) || isProtected(file)) continue;
+      try {
+        fs.unlinkSync(path.resolve(workDir, file));
+        deleted.push(file);
+      } catch (err) {
+        errors.push(`delete ${file}: ${err.message}`);
+      }
+    }
+  });
+
+  // 2. HEAD 与 index：子 agent 可能 commit 或 git add
+  try {
+    if (git(workDir, ['rev-parse', '--verify', 'HEAD']) !== snapshot.head) {
+      git(workDir, ['reset', '-q', '--soft', snapshot.head]);
+    }
+    if (git(workDir, ['write-tree']) !== snapshot.index_tree) {
+      git(workDir, ['read-tree', snapshot.index_tree]);
+    }
+  } catch (err) {
+    errors.push(`index: ${err.message}`);
+  }
+
+  return { restored, deleted, errors };
+}
+
+/**
+ * 从 journal 快照恢复工作区。
+ *
+ * @param {string} workDir - 工作目录
+ * @param {Object} snapshot - journal 快照
+ * @returns {{ restored: string[], deleted: string[], errors: string[] }}
+ */
+function restoreJournalSnapshot(workDir, snapshot) {
+  const restored = [];
+  const deleted = [];
+  const errors = [];
+
+  const current = walkFiles(workDir).filter((f) => !isRestoreExcluded(f, workDir));
+  for (const file of current) {
+    if (snapshot.files[file] || isProtected(file)) continue;
+    try {
+      fs.unlinkSync(path.join(workDir, file));
+      deleted.push(file);
+    } catch (err) {
+      errors.push(`delete ${file}: ${err.message}`);
+    }
+  }
+
+  for (const [file, hash] of Object.entries(snapshot.files)) {
+    const fullPath = path.join(workDir, file);
+    if (hashFile(fullPath) === hash) continue;
+    const blob = path.join(snapshot.blob_dir, hash);
+    if (!fs.existsSync(blob)) {
+      errors.push(`restore ${file}: no journal copy`);
+      continue;
+    }
+    try {
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.copyFileSync(blob, fullPath);
+      restored.push(file);
+    } catch (err) {
+      errors.push(`restore ${file}: ${err.message}`);
+    }
+  }
+
+  return { restored, deleted, errors };
+}
+
+/**
+ * 校验工作区是否与快照一致。
+ *
+ * @param {string} workDir - 工作目录
+ * @param {Object} snapshot - 快照
+ * @returns {{ verified: boolean, mismatched: string[] }}
+ */
+function verifySnapshot(workDir, snapshot) {
+  const mismatched = [];
+
+  if (snapshot.mode === 'git') {
+    withTempIndex(workDir, (env) => {
+      git(workDir, ['add', '-A'], env);
+      const diff = git(workDir, ['diff-index', '-z', '--cached', '--name-only', snapshot.worktree_tree], env);
+      for (const file of diff.split('\0').filter(Boolean)) {
+        if (!isRestoreExcluded(file, workDir)) mismatched.push(file);
+      }
+    }, true);
+    try {
+      if (git(workDir, ['rev-parse', '--verify', 'HEAD']) !== snapshot.head) mismatched.push('HEAD');
+      if (git(workDir, ['write-tree']) !== snapshot.index_tree) mismatched.push('(index)');
+    } catch {
+      mismatched.push('(index)');
+    }
+  } else {
+    const current = walkFiles(workDir).filter((f) => !isRestoreExcluded(f, workDir) && !isProtected(f));
+    for (const file of current) {
+      if (!snapshot.files[file]) mismatched.push(file);
+    }
+    for (const [file, hash] of Object.entries(snapshot.files)) {
+      if (hashFile(path.join(workDir, file)) !== hash) mismatched.push(file);
+    }
+  }
+
+  return { verified: mismatched.length === 0, mismatched };
+}
+
+/**
+ * 将工作区恢复到 createWorkspaceSnapshot() 时的状态并校验。
+ *
+ * @param {string} workDir - 工作目录
+ * @param {Object} snapshot - 快照
+ * @returns {{ success: boolean, mode: string, restored: string[], deleted: string[], verified: boolean, mismatched: string[], error: string|null }}
+ */
+function restoreSnapshot(workDir, snapshot) {
+  if (!snapshot || !snapshot.mode) {
+    return {
+      success: false, mode: null, restored: [], deleted: [],
+      verified: false, mismatched: [], error: 'no snapshot',
+    };
+  }
+
+  let outcome;
+  try {
+    outcome = snapshot.mode === 'git'
+      ? restoreGitSnapshot(workDir, snapshot)
+      : restoreJournalSnapshot(workDir, snapshot);
+  } catch (err) {
+    outcome = { restored: [], deleted: [], errors: [err.message] };
+  }
+
+  let verification;
+  try {
+    verification = verifySnapshot(workDir, snapshot);
+  } catch (err) {
+    verification = { verified: false, mismatched: [] };
+    outcome.errors.push(`verify: ${err.message}`);
+  }
+
+  const errors = [...outcome.errors];
+  if (!verification.verified && verification.mismatched.length > 0) {
+    errors.push(`mismatch after restore: ${verification.mismatched.join(', ')}`);
+  }
+
+  return {
+    success: errors.length === 0,
+    mode: snapshot.mode,
+    restored: outcome.restored,
+    deleted: outcome.deleted,
+    verified: verification.verified,
+    mismatched: verification.mismatched,
+    error: errors.length > 0 ? errors.join('; ') : null,
+  };
+}
+
+/**
+ * 释放快照占用的资源（journal 备份目录）。
+ *
+ * @param {Object} snapshot - 快照
+ */
+function discardSnapshot(snapshot) {
+  if (snapshot && snapshot.mode === 'journal' && snapshot.blob_dir) {
+    fs.rmSync(snapshot.blob_dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * 固化成功后裁剪 journal 备份，只保留回退 Capsule 需要的内容（变更文件变异前的副本）。
+ *
+ * @param {Object} snapshot - journal 快照
+ * @param {Array<string|null>} keepHashes - 需要保留的内容哈希
+ */
+function trimJournal(snapshot, keepHashes) {
+  if (!snapshot || snapshot.mode !== 'journal' || !snapshot.blob_dir) return;
+  const keep = new Set(keepHashes.filter(Boolean));
+  if (keep.size === 0) {
+    discardSnapshot(snapshot);
+    return;
+  }
+  let blobs;
+  try {
+    blobs = fs.readdirSync(snapshot.blob_dir);
+  } catch {
+    return;
+  }
+  for (const blob of blobs) {
+    if (!keep.has(blob)) fs.rmSync(path.join(snapshot.blob_dir, blob), { force: true });
+  }
+}
+
 /**
  * 执行回滚。
  *
@@ -95,7 +525,7 @@ function rollback(workDir, changedFiles, newFiles) {
   if (Array.isArray(changedFiles)) {
     for (const file of changedFiles) {
       try {
-        execSync(`git checkout -- ${JSON.stringify(file)}`, {
+        execFileSync('git', ['checkout', '--', file], {
           cwd: workDir,
           encoding: 'utf-8',
           stdio: ['pipe', 'pipe', 'pipe'],
@@ -110,7 +540,7 @@ function rollback(workDir, changedFiles, newFiles) {
   // 删除新增的文件
   if (Array.isArray(newFiles)) {
     for (const file of newFiles) {
-      if (isProtected(file)) {
+      if (isProtected(file) || isRestoreExcluded(file, workDir)) {
         errors.push(`skip protected: ${file}`);
         continue;
       }
@@ -134,4 +564,19 @@ function rollback(workDir, changedFiles, newFiles) {
   };
 }
 
-module.exports = { PROTECTED_PATHS, createSnapshot, rollback, isProtected };
+module.exports = {
+  PROTECTED_PATHS,
+  RESTORE_EXCLUDED_PATHS,
+  JOURNAL_MAX_KEPT,
+  createSnapshot,
+  createWorkspaceSnapshot,
+  restoreSnapshot,
+  verifySnapshot,
+  discardSnapshot,
+  trimJournal,
+  writeWorktreeTree,
+  walkFiles,
+  rollback,
+  isProtected,
+  isRestoreExcluded,
+};
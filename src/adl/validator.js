@@ -1,31 +1,76 @@
 'use strict';
 
+const { isCapsuleSuccessful } = require('../gep/capsule');
+const { BOOKKEEPING_EVENTS } = require('../gep/event');
+
 /**
  * ADL 劣化检测器。
  *
  * 通过分析 Capsule 历史和 Event 历史，
  * 检测近期进化是否出现劣化趋势，并给出策略建议。
+ * 引擎据此在冷却期内覆盖策略，健康恢复后自动切回（带滞回）。
+ */
+
+/** @constant {number} 连续发生回滚的固化周期数达到该值时视为 repeated_rollbacks */
+const REPEATED_ROLLBACK_CYCLES = 3;
+
+/** @constant {number} 劣化检测所需的最近事件条数（不含周期记录类事件），足以覆盖回滚连击和最近 10 条事件 */
+const DEGRADATION_EVENT_WINDOW = 200;
+
+/** @constant {number} 进入覆盖后至少保持的周期数 */
+const OVERRIDE_COOLDOWN_CYCLES = 3;
+
+/** @constant {number} 退出覆盖前需连续健康的周期数 */
+const OVERRIDE_RECOVERY_CYCLES = 2;
+
+/**
+ * 最近连续发生回滚的固化周期数。
+ *
+ * 按 cycle_id 归组，只看走到固化（有 solidify_success / solidify_failed / rollback）的周期；
+ * 没有 cycle_id 的事件（如手动回退 Capsule 产生的 rollback）不计入。
+ *
+ * @param {Object[]} events - Event 历史（按时间排序）
+ * @returns {number}
  */
+function rollbackStreak(events) {
+  const cycles = new Map();
+  for (const e of events) {
+    if (!e.cycle_id) continue;
+    const type = e.event_type || e.type;
+    if (type !== 'solidify_success' && type !== 'solidify_failed' && type !== 'rollback') continue;
+    cycles.set(e.cycle_id, cycles.get(e.cycle_id) || type === 'rollback');
+  }
+  let streak = 0;
+  for (const rolledBack of [...cycles.values()].reverse()) {
+    if (!rolledBack) break;
+    streak++;
+  }
+  return streak;
+}
 
 /**
  * 检测近期进化是否出现劣化。
  *
  * 劣化指标：
  * 1. 最近 5 个 capsule 失败率 > 40% -> high_failure_rate
- * 2. 连续 3 次 rollback event -> repeated_rollbacks
+ * 2. 最近连续 3 个固化周期都发生回滚 -> repeated_rollbacks
  * 3. 最近无 solidify_success 但有多个 solidify_failed -> solidify_blocked
  *
- * @param {Object[]} capsules - Capsule 历史，每项应有 success 布尔字段
+ * @param {Object[]} capsules - Capsule 历史（含失败尝试），成败由 isCapsuleSuccessful 判定
  * @param {Object[]} events - Event 历史，每项应有 type 字段
- * @returns {{ degraded: boolean, indicators: string[], recommendation: string }}
+ * @returns {{ degraded: boolean, indicators: string[], recommendation: string, strategy: string|null }}
  */
 function detectDegradation(capsules, events) {
   const indicators = [];
+  // 周期记录类事件不反映进化行为，不计入事件窗口
+  if (Array.isArray(events)) {
+    events = events.filter((e) => !BOOKKEEPING_EVENTS.includes(e.event_type));
+  }
 
   // 1. 最近 5 个 capsule 失败率 > 40%
   if (Array.isArray(capsules) && capsules.length > 0) {
     const recent = capsules.slice(-5);
-    const failedCount = recent.filter((c) => c.success === false).length;
+    const failedCount = recent.filter((c) => !isCapsuleSuccessful(c)).length;
     const failRate = failedCount / recent.length;
 
     if (failRate > 0.4) {
@@ -33,14 +78,9 @@ function detectDegradation(capsules, events) {
     }
   }
 
-  // 2. 连续 3 次 rollback event
-  if (Array.isArray(events) && events.length >= 3) {
-    const lastThree = events.slice(-3);
-    const allRollbacks = lastThree.every((e) => e.event_type === 'rollback' || e.type === 'rollback');
-
-    if (allRollbacks) {
-      indicators.push('repeated_rollbacks');
-    }
+  // 2. 最近连续 3 个固化周期都发生回滚（每个失败周期的 rollback 紧跟在 solidify_failed 之后，按周期计数）
+  if (Array.isArray(events) && rollbackStreak(events) >= REPEATED_ROLLBACK_CYCLES) {
+    indicators.push('repeated_rollbacks');
   }
 
   // 3. 最近无 solidify_success 但有多个 solidify_failed
@@ -61,20 +101,104 @@ function detectDegradation(capsules, events) {
   const degraded = indicators.length > 0;
 
   let recommendation = '';
+  let strategy = null;
   if (degraded) {
     if (
       indicators.includes('high_failure_rate') ||
       indicators.includes('repeated_rollbacks')
     ) {
+      strategy = 'repair-only';
       recommendation =
         "建议切换到 'repair-only' 策略，优先修复已知问题，暂停创新变异。";
     } else {
+      strategy = 'harden';
       recommendation =
         "建议切换到 'harden' 策略，聚焦稳固现有能力，减少创新权重。";
     }
   }
 
-  return { degraded, indicators, recommendation };
+  return { degraded, indicators, recommendation, strategy };
+}
+
+/**
+ * 创建初始的策略覆盖状态。
+ *
+ * @returns {{ active: boolean, strategy: string|null, since: string|null, cycles: number, healthy_streak: number, indicators: string[] }}
+ */
+function createOverrideState() {
+  return {
+    active: false,
+    strategy: null,
+    since: null,
+    cycles: 0,
+    healthy_streak: 0,
+    indicators: [],
+  };
+}
+
+/**
+ * 根据本周期的劣化检测结果推进策略覆盖状态。
+ *
+ * 状态转换：
+ * - 未覆盖 + 劣化 → entered（切换到建议策略）
+ * - 覆盖中 + 劣化且建议更严格的 repair-only → escalated
+ * - 覆盖中 + 已满冷却期 + 连续健康达到恢复周期数 → exited（切回自动策略）
+ *
+ * 覆盖期间再次劣化会清零连续健康计数，避免在阈值附近来回抖动。
+ *
+ * @param {Object} state - 当前覆盖状态（createOverrideState 结构）
+ * @param {Object} detection - detectDegradation() 的返回值
+ * @param {Object} [options] - 选项
+ * @param {number} [options.cooldownCycles] - 冷却周期数
+ * @param {number} [options.recoveryCycles] - 恢复所需连续健康周期数
+ * @returns {{ state: Object, transition: 'entered'|'escalated'|'exited'|null }}
+ */
+function updateStrategyOverride(state, detection, options = {}) {
+  const cooldown = options.cooldownCycles ?? OVERRIDE_COOLDOWN_CYCLES;
+  const recovery = options.recoveryCycles ?? OVERRIDE_RECOVERY_CYCLES;
+  const current = { ...createOverrideState(), ...state };
+
+  if (!current.active) {
+    if (!detection.degraded) return { state: current, transition: null };
+    return {
+      state: {
+        active: true,
+        strategy: detection.strategy,
+        since: new Date().toISOString(),
+        cycles: 0,
+        healthy_streak: 0,
+        indicators: detection.indicators,
+      },
+      transition: 'entered',
+    };
+  }
+
+  const next = { ...current, cycles: current.cycles + 1 };
+
+  if (detection.degraded) {
+    next.healthy_streak = 0;
+    next.indicators = detection.indicators;
+    if (detection.strategy === 'repair-only' && current.strategy !== 'repair-only') {
+      next.strategy = 'repair-only';
+      next.cycles = 0;
+      return { state: next, transition: 'escalated' };
+    }
+    return { state: next, transition: null };
+  }
+
+  next.healthy_streak = current.healthy_streak + 1;
+  if (next.cycles >= cooldown && next.healthy_streak >= recovery) {
+    return { state: createOverrideState(), transition: 'exited' };
+  }
+  return { state: next, transition: null };
 }
 
-module.exports = { detectDegradation };
+module.exports = {
+  detectDegradation,
+  createOverrideState,
+  updateStrategyOverride,
+  OVERRIDE_COOLDOWN_CYCLES,
+  OVERRIDE_RECOVERY_CYCLES,
+  REPEATED_ROLLBACK_CYCLES,
+  DEGRADATION_EVENT_WINDOW,
+};
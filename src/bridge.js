@@ -3,6 +3,7 @@
 const fs = require('node:fs');
 const path = require('node:path');
 const os = require('node:os');
+const { forEachJSONLSync } = require('./jsonl');
 
 /**
  * OpenClaw 桥接层。
@@ -26,43 +27,36 @@ function getSessionsDir(agentName, openclawDir) {
 }
 
 /**
- * 解析单个 JSONL 文件内容为条目数组。
+ * 列出 OpenClaw 下所有拥有 sessions 目录的 agent。
  *
- * @param {string} content - JSONL 文件原始内容
- * @returns {Object[]} 解析后的条目
+ * @param {string} [openclawDir] - OpenClaw 根目录（默认 ~/.openclaw）
+ * @returns {string[]} agent 名称（按字母排序），目录不存在时返回空数组
  */
-function parseJSONL(content) {
-  if (!content || !content.trim()) return [];
-  return content
-    .trim()
-    .split('\n')
-    .filter(Boolean)
-    .map((line) => {
-      try {
-        return JSON.parse(line);
-      } catch {
-        return null;
-      }
-    })
-    .filter(Boolean);
+function listAgents(openclawDir) {
+  const root = openclawDir || DEFAULT_OPENCLAW_DIR;
+  const agentsDir = path.join(root, 'agents');
+  if (!fs.existsSync(agentsDir)) return [];
+
+  try {
+    return fs
+      .readdirSync(agentsDir, { withFileTypes: true })
+      .filter((d) => d.isDirectory() && fs.existsSync(getSessionsDir(d.name, root)))
+      .map((d) => d.name)
+      .sort();
+  } catch {
+    return [];
+  }
 }
 
 /**
- * 读取指定 agent 的最近 N 个 session log 文件。
- *
- * 读取逻辑：
- * 1. 列出 sessions 目录下的 .jsonl 文件
- * 2. 按修改时间倒序排列
- * 3. 取前 limit 个
- * 4. 读取每个文件解析 JSONL，合并到一个数组
- * 5. 目录不存在则返回空数组
+ * 列出指定 agent 最近修改的 N 个 session log 文件。
  *
  * @param {string} agentName - agent 名称
- * @param {number} [limit=5] - 读取最近的文件数量
+ * @param {number} [limit=5] - 文件数量
  * @param {string} [openclawDir] - OpenClaw 根目录（默认 ~/.openclaw）
- * @returns {Object[]} 合并的 log 条目
+ * @returns {string[]} 文件完整路径，按修改时间倒序；目录不存在时返回空数组
  */
-function readRecentSessions(agentName, limit = 5, openclawDir) {
+function listRecentSessionFiles(agentName, limit = 5, openclawDir) {
   const sessionsDir = getSessionsDir(agentName, openclawDir);
 
   if (!fs.existsSync(sessionsDir)) return [];
@@ -76,28 +70,43 @@ function readRecentSessions(agentName, limit = 5, openclawDir) {
     return [];
   }
 
-  if (files.length === 0) return [];
-
   // 按修改时间倒序排列
   const withStats = files.map((f) => {
     const filepath = path.join(sessionsDir, f);
     const stat = fs.statSync(filepath);
-    return { file: f, mtime: stat.mtimeMs };
+    return { filepath, mtime: stat.mtimeMs };
   });
   withStats.sort((a, b) => b.mtime - a.mtime);
 
-  // 取前 limit 个
-  const selected = withStats.slice(0, limit);
+  return withStats.slice(0, limit).map((f) => f.filepath);
+}
 
-  // 读取并合并
+/**
+ * 读取指定 agent 的最近 N 个 session log 文件。
+ *
+ * 读取逻辑：
+ * 1. 列出 sessions 目录下的 .jsonl 文件
+ * 2. 按修改时间倒序排列
+ * 3. 取前 limit 个
+ * 4. 读取每个文件解析 JSONL，合并到一个数组
+ * 5. 目录不存在则返回空数组
+ *
+ * 每次都完整读取文件；进化周期使用 core/ingest 的增量读取。
+ * 损坏或超长的行被跳过并输出到 stderr。
+ *
+ * @param {string} agentName - agent 名称
+ * @param {number} [limit=5] - 读取最近的文件数量
+ * @param {string} [openclawDir] - OpenClaw 根目录（默认 ~/.openclaw）
+ * @returns {Object[]} 合并的 log 条目
+ */
+function readRecentSessions(agentName, limit = 5, openclawDir) {
   const allEntries = [];
-  for (const { file } of selected) {
-    const filepath = path.join(sessionsDir, file);
-    const content = fs.readFileSync(filepath, 'utf-8');
-    const entries = parseJSONL(content);
-    allEntries.push(...entries);
+  for (const filepath of listRecentSessionFiles(agentName, limit, openclawDir)) {
+    forEachJSONLSync(filepath, ({ entry }) => allEntries.push(entry), {
+      includePartial: true,
+      onError: (err) => console.warn(`[ccEvo] ${filepath}:${err.line}: skipped (${err.reason}: ${err.error})`),
+    });
   }
-
   return allEntries;
 }
 
@@ -160,6 +169,9 @@ function getWorkspaceDir(openclawDir) {
   return path.join(os.homedir(), 'openclaw');
 }
 
+/** @constant {number} 子 agent 输出的缓冲上限（字节），超出时子进程被终止 */
+const SPAWN_MAX_BUFFER = 64 * 1024 * 1024;
+
 /**
  * 获取 openclaw-cn CLI 的可执行路径。
  *
@@ -181,10 +193,11 @@ function getCliBin() {
  * @param {string} [params.sessionId] - 复用已有 session
  * @param {string} [params.thinking] - 思考级别 (off|minimal|low|medium|high)
  * @param {number} [params.timeoutSec=300] - 超时秒数
+ * @param {string} [params.cwd] - 子 agent 的工作目录
  * @returns {Promise<{ success: boolean, output: string, error: string|null }>}
  */
 async function sessionsSpawn(params) {
-  const { execSync } = require('node:child_process');
+  const { execFileSync } = require('node:child_process');
   const bin = getCliBin();
 
   const args = ['agent', '--local', '--json'];
@@ -202,13 +215,13 @@ async function sessionsSpawn(params) {
 
   const timeoutMs = (params.timeoutSec || 300) * 1000;
 
-  // 构建安全的命令字符串
-  const cmd = [bin, ...args.map(a => JSON.stringify(a))].join(' ');
-
   try {
-    const output = execSync(cmd, {
+    // 参数以数组传给 CLI，不经过 shell：任务描述含有 session 日志原文，不能被展开
+    const output = execFileSync(bin, args, {
+      cwd: params.cwd || process.cwd(),
       encoding: 'utf-8',
       timeout: timeoutMs,
+      maxBuffer: SPAWN_MAX_BUFFER,
       stdio: ['pipe', 'pipe', 'pipe'],
       env: { ...process.env },
     });
@@ -223,13 +236,13 @@ async function sessionsSpawn(params) {
 }
 
 /**
- * 异步版 sessionsSpawn，使用 child_process.exec。
+ * 异步版 sessionsSpawn，使用 child_process.execFile（不经过 shell）。
  *
  * @param {Object} params - 同 sessionsSpawn 参数
  * @returns {Promise<{ success: boolean, output: string, error: string|null }>}
  */
 function sessionsSpawnAsync(params) {
-  const { exec } = require('node:child_process');
+  const { execFile } = require('node:child_process');
   const bin = getCliBin();
 
   const args = ['agent', '--local', '--json'];
@@ -240,10 +253,12 @@ function sessionsSpawnAsync(params) {
   if (params.thinking) args.push('--thinking', params.thinking);
 
   const timeoutMs = (params.timeoutSec || 300) * 1000;
-  const cmd = [bin, ...args.map(a => JSON.stringify(a))].join(' ');
 
   return new Promise((resolve) => {
-    exec(cmd, { encoding: 'utf-8', timeout: timeoutMs }, (err, stdout, stderr) => {
+    const options = {
+      cwd: params.cwd || process.cwd(), encoding: 'utf-8', timeout: timeoutMs, maxBuffer: SPAWN_MAX_BUFFER,
+    };
+    execFile(bin, args, options, (err, stdout, stderr) => {
       if (err) {
         resolve({ success: false, output: stdout?.trim() || '', error: stderr?.trim() || err.message });
       } else {
@@ -256,6 +271,8 @@ function sessionsSpawnAsync(params) {
 module.exports = {
   DEFAULT_OPENCLAW_DIR,
   getSessionsDir,
+  listAgents,
+  listRecentSessionFiles,
   readRecentSessions,
   readMemory,
   readUserConfig,
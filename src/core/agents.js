@@ -0,0 +1,84 @@
+'use strict';
+
+const { EvolutionEngine } = require('./engine');
+const { listAgents } = require('../bridge');
+const { isCapsuleSuccessful } = require('../gep/capsule');
+
+/**
+ * 多 agent 进化。
+ *
+ * 依次为 ~/.openclaw/agents/ 下的每个 agent 运行一轮进化周期，
+ * 每个 agent 使用自己最近 sessions 提取的信号集；
+ * Capsule 与 cycle_complete 事件记录 agent，用于按 agent 汇总统计。
+ *
+ * 信号账本、Gene 冷却和 Capsule 实际效果的观察按 agent 区分；
+ * Gene 适应度、劣化策略覆盖与人格状态有意在所有 agent 之间共享：
+ * 各 agent 的变异作用于同一个 skill 工作区，一个 Gene 在任一 agent 的周期里失败，
+ * 说明的都是同一份代码的问题。
+ */
+
+/** @constant {string} 未记录 agent 的 Capsule / 周期归入此分组 */
+const UNATTRIBUTED = '(unattributed)';
+
+/**
+ * 为每个 agent 运行一轮进化周期。
+ *
+ * 单个 agent 抛出异常不影响其他 agent，错误记录在对应条目中。
+ *
+ * @param {Object} [options] - EvolutionEngine 选项（agentName / sessionsDir 会被覆盖）
+ * @param {string[]} [options.agents] - 指定 agent 列表（默认 listAgents()）
+ * @returns {Promise<Array<{ agent: string, result: Object|null, error: string|null }>>}
+ */
+async function runAllAgents(options = {}) {
+  const { agents: only, ...engineOptions } = options;
+  const agents = only || listAgents(options.openclawDir);
+  const runs = [];
+
+  for (const agent of agents) {
+    const engine = new EvolutionEngine({ ...engineOptions, agentName: agent, sessionsDir: null });
+    try {
+      runs.push({ agent, result: await engine.runCycle(), error: null });
+    } catch (err) {
+      runs.push({ agent, result: null, error: err.message });
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * 按 agent 统计各 Gene 的尝试与成功次数。
+ *
+ * @param {Object[]} capsules - Capsule 历史
+ * @returns {Object<string, Object<string, { attempts: number, successes: number, reverted: number, success_rate: number }>>}
+ */
+function agentGeneStats(capsules) {
+  const stats = {};
+  for (const c of capsules) {
+    const genes = stats[c.agent || UNATTRIBUTED] ??= {};
+    const gene = genes[c.gene_id] ??= { attempts: 0, successes: 0, reverted: 0, success_rate: 0 };
+    gene.attempts++;
+    if (isCapsuleSuccessful(c)) gene.successes++;
+    if (c.reverted) gene.reverted++;
+    gene.success_rate = gene.successes / gene.attempts;
+  }
+  return stats;
+}
+
+/**
+ * 按 agent 统计周期结果（来自 cycle_complete 事件）。
+ *
+ * @param {Object[]} events - 进化事件历史
+ * @returns {Object<string, Object<string, number>>} agent → outcome → 次数
+ */
+function agentCycleStats(events) {
+  const stats = {};
+  for (const e of events) {
+    if (e.event_type !== 'cycle_complete') continue;
+    const outcomes = stats[e.payload.agent || UNATTRIBUTED] ??= {};
+    outcomes[e.payload.outcome] = (outcomes[e.payload.outcome] || 0) + 1;
+  }
+  return stats;
+}
+
+module.exports = { UNATTRIBUTED, runAllAgents, agentGeneStats, agentCycleStats };
@@ -0,0 +1,157 @@
+'use strict';
+
+const crypto = require('node:crypto');
+
+/**
+ * 功能请求待办。
+ *
+ * 意图识别（core/intent）从用户消息中提取的请求原文按规范化文本去重后
+ * 累积在这里，持久化在 state.json 的 feature_backlog 中，并通过
+ * user_feature_request 信号的 backlog_ids 关联到具体条目，
+ * 让创新类 Gene 有明确的实现目标。
+ */
+
+/** @constant {number} 待办最多保留的条目数，超出时优先淘汰已关闭、最久未出现的条目 */
+const BACKLOG_LIMIT = 100;
+
+/** @constant {number} 每个条目保留的证据条数 */
+const MAX_EVIDENCE = 5;
+
+/** @constant {string[]} 条目状态 */
+const BACKLOG_STATUSES = ['open', 'addressed', 'dismissed'];
+
+/** @constant {string} 关联的信号名 */
+const BACKLOG_SIGNAL = 'user_feature_request';
+
+/**
+ * @typedef {Object} BacklogItem
+ * @property {string} id - 条目 ID（feat_xxxxxxxx）
+ * @property {string} request - 请求原文（首次出现时的句子）
+ * @property {'en'|'zh'} language - 语言
+ * @property {number} count - 累计被提出的次数
+ * @property {'open'|'addressed'|'dismissed'} status - 状态
+ * @property {string} signal - 关联的信号名
+ * @property {string|null} first_seen - 最早出现时间
+ * @property {string|null} last_seen - 最近出现时间
+ * @property {Object[]} evidence - 最近的证据（session 文件、行号、时间）
+ * @property {string[]} capsule_ids - 处理该请求的 Capsule
+ */
+
+/**
+ * 请求去重用的键：小写，去掉标点，折叠空白。
+ *
+ * @param {string} text - 请求原文
+ * @returns {string}
+ */
+function requestKey(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 把本轮识别到的请求合并进待办。已存在的请求累加次数；
+ * 已处理（addressed）的请求再次出现时重新打开。
+ *
+ * @param {BacklogItem[]} backlog - 已有待办
+ * @param {Array<{ request: string, language: string, evidence?: Object }>} requests - 本轮请求
+ * @returns {{ backlog: BacklogItem[], ids: string[] }} 新待办与本轮涉及的条目 ID
+ */
+function mergeRequests(backlog, requests) {
+  const items = (backlog || []).map(item => ({ ...item, evidence: [...(item.evidence || [])] }));
+  const byKey = new Map(items.map(item => [requestKey(item.request), item]));
+  const ids = [];
+
+  for (const { request, language, evidence } of requests || []) {
+    const key = requestKey(request);
+    if (!key) continue;
+    const timestamp = evidence?.timestamp || null;
+    let item = byKey.get(key);
+    if (!item) {
+      item = {
+        id: `feat_${crypto.randomUUID().slice(0, 8)}`,
+        request,
+        language,
+        count: 0,
+        status: 'open',
+        signal: BACKLOG_SIGNAL,
+        first_seen: timestamp,
+        last_seen: timestamp,
+        evidence: [],
+        capsule_ids: [],
+      };
+      items.push(item);
+      byKey.set(key, item);
+    } else if (item.status === 'addressed') {
+      item.status = 'open';
+    }
+    item.count++;
+    if (timestamp) {
+      if (!item.first_seen || timestamp < item.first_seen) item.first_seen = timestamp;
+      if (!item.last_seen || timestamp > item.last_seen) item.last_seen = timestamp;
+    }
+    if (evidence) item.evidence = [...item.evidence, evidence].slice(-MAX_EVIDENCE);
+    if (!ids.includes(item.id)) ids.push(item.id);
+  }
+
+  return { backlog: trimBacklog(items), ids };
+}
+
+/**
+ * 超出上限时淘汰条目：已关闭的先于未处理的，同状态下最久未出现的先淘汰。
+ *
+ * @param {BacklogItem[]} items - 待办条目
+ * @returns {BacklogItem[]}
+ */
+function trimBacklog(items) {
+  if (items.length <= BACKLOG_LIMIT) return items;
+  const rank = (item) => (item.status === 'open' ? 1 : 0);
+  const keep = new Set([...items]
+    .sort((a, b) => rank(b) - rank(a) || (b.last_seen || '').localeCompare(a.last_seen || ''))
+    .slice(0, BACKLOG_LIMIT));
+  return items.filter(item => keep.has(item));
+}
+
+/**
+ * 修改条目状态。
+ *
+ * @param {BacklogItem[]} backlog - 待办
+ * @param {string} id - 条目 ID
+ * @param {'open'|'addressed'|'dismissed'} status - 新状态
+ * @param {string} [capsuleId] - 处理该请求的 Capsule ID
+ * @returns {{ success: boolean, backlog: BacklogItem[], error: string|null }}
+ */
+function updateRequest(backlog, id, status, capsuleId) {
+  if (!BACKLOG_STATUSES.includes(status)) {
+    return { success: false, backlog, error: `Unknown status: ${status}` };
+  }
+  const item = (backlog || []).find(i => i.id === id);
+  if (!item) return { success: false, backlog, error: `Feature request not found: ${id}` };
+  const updated = { ...item, status };
+  if (capsuleId) updated.capsule_ids = [...new Set([...(item.capsule_ids || []), capsuleId])];
+  return { success: true, backlog: backlog.map(i => (i.id === id ? updated : i)), error: null };
+}
+
+/**
+ * 未处理的条目，按被提出次数、最近出现时间排序。
+ *
+ * @param {BacklogItem[]} backlog - 待办
+ * @returns {BacklogItem[]}
+ */
+function openRequests(backlog) {
+  return (backlog || [])
+    .filter(item => item.status === 'open')
+    .sort((a, b) => b.count - a.count || (b.last_seen || '').localeCompare(a.last_seen || ''));
+}
+
+module.exports = {
+  BACKLOG_LIMIT,
+  BACKLOG_STATUSES,
+  BACKLOG_SIGNAL,
+  requestKey,
+  mergeRequests,
+  updateRequest,
+  openRequests,
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Gene 选择策略。
+ *
+ * 信号匹配分决定哪些 Gene 是候选；选择策略决定历史表现（gep/fitness 的回报）
+ * 在候选之间占多大分量：
+ * - greedy：匹配分最高者胜出，只有 2 个以上已评估 Capsule 时按实际效果 ±0.2 微调（默认）
+ * - ucb：UCB1，平均回报加上随尝试次数减小的探索项，少尝试过的 Gene 也有机会
+ * - thompson：从每个 Gene 回报的 Beta 后验中抽样，按抽样值排序
+ * ucb / thompson 的值（0-1）以 ±FITNESS_WEIGHT 叠加到匹配分上。
+ * 策略通过 --policy 或 CCEVO_SELECTION_POLICY 指定，记录在 gene_selected
+ * 与 cycle_complete 事件中，report 按策略对比结果。
+ */
+
+/** @constant {string} 默认选择策略 */
+const DEFAULT_POLICY = 'greedy';
+
+/** @constant {number} ucb / thompson 的适应度值对匹配分的最大调整幅度 */
+const FITNESS_WEIGHT = 0.3;
+
+/** @constant {number} UCB 探索项系数 */
+const UCB_EXPLORATION = 0.5;
+
+/**
+ * 回报的 Beta 后验参数（Beta(1, 1) 先验）。
+ *
+ * @param {import('../gep/fitness').GeneFitness|undefined} stats - Gene 适应度
+ * @returns {{ alpha: number, beta: number }}
+ */
+function posterior(stats) {
+  const attempts = stats?.attempts || 0;
+  const rewards = stats?.reward_sum || 0;
+  return { alpha: 1 + rewards, beta: 1 + Math.max(0, attempts - rewards) };
+}
+
+/**
+ * 标准正态分布抽样（Box-Muller）。
+ *
+ * @param {() => number} random - [0, 1) 随机数
+ * @returns {number}
+ */
+function sampleNormal(random) {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Gamma(shape, 1) 抽样（Marsaglia-Tsang；shape < 1 时用 shape + 1 抽样再修正）。
+ *
+ * @param {number} shape - 形状参数（> 0）
+ * @param {() => number} random - [0, 1) 随机数
+ * @returns {number}
+ */
+function sampleGamma(shape, random) {
+  if (shape < 1) return sampleGamma(shape + 1, random) * (1 - random()) ** (1 / shape);
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    const x = sampleNormal(random);
+    const v = (1 + c * x) ** 3;
+    if (v <= 0) continue;
+    const u = 1 - random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+
+/**
+ * Beta(alpha, beta) 抽样。
+ *
+ * @param {number} alpha - α（> 0）
+ * @param {number} beta - β（> 0）
+ * @param {() => number} [random=Math.random] - [0, 1) 随机数
+ * @returns {number} 0-1
+ */
+function sampleBeta(alpha, beta, random = Math.random) {
+  const x = sampleGamma(alpha, random);
+  const y = sampleGamma(beta, random);
+  return x / (x + y);
+}
+
+/**
+ * UCB1 值：后验平均回报 + 探索项，截断到 1。
+ *
+ * @param {import('../gep/fitness').GeneFitness|undefined} stats - Gene 适应度
+ * @param {number} totalAttempts - 所有候选 Gene 的尝试总数
+ * @returns {number} 0-1
+ */
+function ucbValue(stats, totalAttempts) {
+  const { alpha, beta } = posterior(stats);
+  const attempts = stats?.attempts || 0;
+  const bonus = UCB_EXPLORATION * Math.sqrt(Math.log(totalAttempts + 1) / (attempts + 1));
+  return Math.min(1, alpha / (alpha + beta) + bonus);
+}
+
+/** @type {Record<string, { description: string, value: ((stats: Object|undefined, context: { totalAttempts: number, random: () => number }) => number)|null }>} */
+const POLICIES = {
+  greedy: {
+    description: '匹配分最高者胜出，按实际效果微调',
+    value: null,
+  },
+  ucb: {
+    description: 'UCB1：平均回报 + 探索项',
+    value: (stats, context) => ucbValue(stats, context.totalAttempts),
+  },
+  thompson: {
+    description: 'Thompson 采样：从回报的 Beta 后验抽样',
+    value: (stats, context) => {
+      const { alpha, beta } = posterior(stats);
+      return sampleBeta(alpha, beta, context.random);
+    },
+  },
+};
+
+/**
+ * 获取选择策略。
+ *
+ * @param {string} [name] - 策略名称（默认 greedy）
+ * @returns {{ name: string, description: string, value: Function|null }}
+ * @throws {Error} 如果策略名称不存在
+ */
+function getPolicy(name = DEFAULT_POLICY) {
+  if (!Object.hasOwn(POLICIES, name)) {
+    const valid = Object.keys(POLICIES).join(', ');
+    throw new Error(`Unknown selection policy "${name}". Valid policies: ${valid}`);
+  }
+  return { name, ...POLICIES[name] };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  FITNESS_WEIGHT,
+  UCB_EXPLORATION,
+  POLICIES,
+  posterior,
+  sampleBeta,
+  ucbValue,
+  getPolicy,
+};
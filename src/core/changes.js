@@ -0,0 +1,206 @@
+'use strict';
+
+const { execFileSync } = require('node:child_process');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+  createWorkspaceSnapshot,
+  writeWorktreeTree,
+  walkFiles,
+  isRestoreExcluded,
+} = require('../adl/rollback');
+
+/**
+ * 工作区变更检测器。
+ *
+ * 变异前用 createWorkspaceSnapshot() 记录基线（同时用于回滚），变异后与基线做 diff，
+ * 得到变更/新增/删除文件列表和逐文件行统计（numstat），
+ * 供 blast radius、风险评估、ADL 门控和回滚使用。
+ * git 仓库对比变异前后的工作区 tree（含未跟踪文件），路径相对于工作目录；
+ * 非 git 目录使用 journal 快照的内容哈希对比（无行级 diff）。
+ */
+
+/**
+ * 在工作目录执行 git 命令（参数不经过 shell）。
+ *
+ * @param {string} workDir - 工作目录
+ * @param {string[]} args - git 参数
+ * @returns {string} 标准输出
+ */
+function git(workDir, args) {
+  return execFileSync('git', args, {
+    cwd: workDir,
+    encoding: 'utf-8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    maxBuffer: 64 * 1024 * 1024,
+  });
+}
+
+/**
+ * 按 NUL 分隔输出拆分为非空字段。
+ *
+ * @param {string} output - git -z 输出
+ * @returns {string[]}
+ */
+function splitZ(output) {
+  return output.split('\0').filter(Boolean);
+}
+
+/**
+ * 计算文件内容哈希，文件不可读时返回 null。
+ *
+ * @param {string} filepath - 文件完整路径
+ * @returns {string|null}
+ */
+function hashFile(filepath) {
+  try {
+    return crypto.createHash('sha1').update(fs.readFileSync(filepath)).digest('hex');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 统计新文件的行数（作为 additions），二进制文件计 0。
+ *
+ * @param {string} filepath - 文件完整路径
+ * @returns {number}
+ */
+function countLines(filepath) {
+  try {
+    const buf = fs.readFileSync(filepath);
+    if (buf.includes(0)) return 0;
+    if (buf.length === 0) return 0;
+    let lines = 0;
+    for (const byte of buf) {
+      if (byte === 0x0a) lines++;
+    }
+    return buf[buf.length - 1] === 0x0a ? lines : lines + 1;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * 变异前记录工作区基线：createWorkspaceSnapshot() 的快照，
+ * 变更检测和失败回滚共用同一份。
+ *
+ * @param {string} workDir - 工作目录
+ * @returns {{ isGit: boolean, workspace: Object|null, error: string|null }}
+ */
+function captureBaseline(workDir) {
+  const workspace = createWorkspaceSnapshot(workDir);
+  return {
+    isGit: workspace?.mode === 'git',
+    workspace,
+    error: workspace ? null : 'failed to snapshot workspace',
+  };
+}
+
+/**
+ * 按 journal 快照的内容哈希检测变更（非 git 目录）。
+ *
+ * 没有历史版本可做行级 diff：新增和修改的文件按整文件行数计入 additions。
+ *
+ * @param {string} workDir - 工作目录
+ * @param {Object} journal - journal 快照
+ * @param {Object} result - 待填充的结果对象
+ * @returns {Object} result
+ */
+function detectJournalChanges(workDir, journal, result) {
+  const seen = new Set(walkFiles(workDir).filter(f => !isRestoreExcluded(f, workDir)));
+
+  for (const file of seen) {
+    const fullPath = path.join(workDir, file);
+    if (!(file in journal.files)) {
+      result.newFiles.push(file);
+      result.fileStats[file] = { additions: countLines(fullPath), deletions: 0 };
+    } else if (hashFile(fullPath) !== journal.files[file]) {
+      result.changedFiles.push(file);
+      result.fileStats[file] = { additions: countLines(fullPath), deletions: 0 };
+    }
+  }
+  for (const file of Object.keys(journal.files)) {
+    if (!seen.has(file)) {
+      result.deletedFiles.push(file);
+      result.fileStats[file] = { additions: 0, deletions: 0 };
+    }
+  }
+
+  for (const stats of Object.values(result.fileStats)) {
+    result.lineStats.additions += stats.additions;
+    result.lineStats.deletions += stats.deletions;
+  }
+  return result;
+}
+
+/**
+ * 对比基线检测变异产生的变更。
+ *
+ * - changedFiles：内容被修改的文件（含基线时已存在的未跟踪文件）
+ * - newFiles：基线中不存在的文件
+ * - deletedFiles：基线中存在、现已删除的文件
+ * - fileStats：逐文件 { additions, deletions }
+ * - lineStats：全部文件的行数合计
+ *
+ * @param {string} workDir - 工作目录
+ * @param {Object} baseline - captureBaseline() 的返回值
+ * @returns {{ changedFiles: string[], newFiles: string[], deletedFiles: string[], fileStats: Object<string, { additions: number, deletions: number }>, lineStats: { additions: number, deletions: number }, error: string|null }}
+ */
+function detectChanges(workDir, baseline) {
+  const result = {
+    changedFiles: [],
+    newFiles: [],
+    deletedFiles: [],
+    fileStats: {},
+    lineStats: { additions: 0, deletions: 0 },
+    error: null,
+  };
+
+  if (!baseline || !baseline.workspace) {
+    result.error = baseline?.error || 'no workspace baseline';
+    return result;
+  }
+  if (baseline.workspace.mode === 'journal') {
+    return detectJournalChanges(workDir, baseline.workspace, result);
+  }
+
+  try {
+    // 变异前后的工作区 tree 均含未跟踪文件；--relative 使路径相对于工作目录，
+    // 与 ls-files、checkout-index 和 Capsule 回退使用的路径一致
+    const range = ['--no-renames', '--relative', baseline.workspace.worktree_tree, writeWorktreeTree(workDir)];
+    const status = splitZ(git(workDir, ['diff-tree', '-r', '-z', '--name-status', ...range]));
+    for (let i = 0; i + 1 < status.length; i += 2) {
+      const code = status[i];
+      const file = status[i + 1];
+      // 与整树恢复跳过相同的路径（ccEvo 资产目录在变异期间仍会被引擎写入）
+      if (isRestoreExcluded(file, workDir)) continue;
+      if (code === 'A') result.newFiles.push(file);
+      else if (code === 'D') result.deletedFiles.push(file);
+      else result.changedFiles.push(file);
+    }
+
+    const numstat = splitZ(git(workDir, ['diff-tree', '-r', '-z', '--numstat', ...range]));
+    for (const row of numstat) {
+      const [add, del, file] = row.split('\t');
+      if (isRestoreExcluded(file, workDir)) continue;
+      // 二进制文件 numstat 为 "-"
+      result.fileStats[file] = {
+        additions: add === '-' ? 0 : parseInt(add, 10),
+        deletions: del === '-' ? 0 : parseInt(del, 10),
+      };
+    }
+  } catch (err) {
+    result.error = err.message;
+  }
+
+  for (const stats of Object.values(result.fileStats)) {
+    result.lineStats.additions += stats.additions;
+    result.lineStats.deletions += stats.deletions;
+  }
+
+  return result;
+}
+
+module.exports = { captureBaseline, detectChanges };
@@ -0,0 +1,121 @@
+'use strict';
+
+const { ledgerKey } = require('./ledger');
+
+/**
+ * Gene 冷却与退避。
+ *
+ * 信号持续存在时，选择器每轮都会给出同一个最高分 Gene，即使它刚刚失败。
+ * 每次尝试后该 Gene 进入冷却，接下来若干个选择轮次不参与选择：
+ * - 成功后冷却 SUCCESS_COOLDOWN_CYCLES 轮，给其他 Gene 处理剩余信号的机会；
+ * - 失败后冷却 FAILURE_COOLDOWN_CYCLES × 2^(连续失败次数 - 1) 轮，最多 MAX_COOLDOWN_CYCLES 轮。
+ * 成功会清零连续失败次数。状态持久化在 state.json 的 gene_cooldowns 中，
+ * 只有到达 Gene 选择的周期才计为一轮。
+ * 和确认账本一样按 agent 分开记录（键为 "<agent>/<gene>"，见 ledger.ledgerKey），
+ * 每个 agent 的周期只推进自己的冷却。
+ */
+
+/** @constant {number} 成功后的冷却轮数 */
+const SUCCESS_COOLDOWN_CYCLES = 1;
+
+/** @constant {number} 首次失败后的冷却轮数，之后每次连续失败翻倍 */
+const FAILURE_COOLDOWN_CYCLES = 1;
+
+/** @constant {number} 冷却轮数上限 */
+const MAX_COOLDOWN_CYCLES = 16;
+
+/**
+ * @typedef {Object} GeneCooldown
+ * @property {number} remaining - 还要跳过的选择轮数
+ * @property {'success'|'failure'} reason - 最近一次尝试的结果
+ * @property {number} failures - 连续失败次数
+ * @property {string} updated_at - 最近一次尝试的时间
+ */
+
+/**
+ * 连续失败 failures 次后的冷却轮数。
+ *
+ * @param {number} failures - 连续失败次数（≥ 1）
+ * @returns {number}
+ */
+function failureCooldown(failures) {
+  return Math.min(MAX_COOLDOWN_CYCLES, FAILURE_COOLDOWN_CYCLES * 2 ** (failures - 1));
+}
+
+/**
+ * 冷却条目是否属于某个 agent（未指定 agent 时为不带前缀的条目）。
+ *
+ * @param {string} key - 冷却键
+ * @param {string|null} agent - agent 名称
+ * @returns {boolean}
+ */
+function belongsTo(key, agent) {
+  return agent ? key.startsWith(`${agent}/`) : !key.includes('/');
+}
+
+/**
+ * 记录一次尝试，返回新的冷却状态。
+ *
+ * @param {Object<string, GeneCooldown>} cooldowns - 当前冷却状态
+ * @param {string} geneId - Gene ID
+ * @param {boolean} success - 是否成功固化
+ * @param {string|null} [agent] - 本轮的 agent
+ * @returns {Object<string, GeneCooldown>}
+ */
+function recordAttempt(cooldowns, geneId, success, agent = null) {
+  const key = ledgerKey(geneId, agent);
+  const failures = success ? 0 : (cooldowns?.[key]?.failures || 0) + 1;
+  return {
+    ...(cooldowns || {}),
+    [key]: {
+      remaining: success ? SUCCESS_COOLDOWN_CYCLES : failureCooldown(failures),
+      reason: success ? 'success' : 'failure',
+      failures,
+      updated_at: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * agent 过去一个选择轮次：该 agent 的冷却减一，其他 agent 的条目不变。
+ * 冷却结束且没有连续失败记录的条目被移除，有连续失败记录的保留，供下一次失败时继续退避。
+ *
+ * @param {Object<string, GeneCooldown>} cooldowns - 当前冷却状态
+ * @param {string|null} [agent] - 本轮的 agent
+ * @returns {Object<string, GeneCooldown>}
+ */
+function tickCooldowns(cooldowns, agent = null) {
+  const out = {};
+  for (const [key, entry] of Object.entries(cooldowns || {})) {
+    if (!belongsTo(key, agent)) {
+      out[key] = entry;
+      continue;
+    }
+    const remaining = Math.max(0, entry.remaining - 1);
+    if (remaining > 0 || entry.failures > 0) out[key] = { ...entry, remaining };
+  }
+  return out;
+}
+
+/**
+ * Gene 在某个 agent 下当前的冷却，不在冷却中时为 null。
+ *
+ * @param {Object<string, GeneCooldown>} cooldowns - 冷却状态
+ * @param {string} geneId - Gene ID
+ * @param {string|null} [agent] - agent 名称
+ * @returns {GeneCooldown|null}
+ */
+function activeCooldown(cooldowns, geneId, agent = null) {
+  const entry = cooldowns?.[ledgerKey(geneId, agent)];
+  return entry && entry.remaining > 0 ? entry : null;
+}
+
+module.exports = {
+  SUCCESS_COOLDOWN_CYCLES,
+  FAILURE_COOLDOWN_CYCLES,
+  MAX_COOLDOWN_CYCLES,
+  failureCooldown,
+  recordAttempt,
+  tickCooldowns,
+  activeCooldown,
+};
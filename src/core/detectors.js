@@ -0,0 +1,717 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { detectFeatureRequest } = require('./intent');
+
+/**
+ * 信号检测器注册表。
+ *
+ * 每个检测器声明它消费的条目类型（entry.type）和它产出的信号，
+ * 信号收集器按条目类型把 session log 条目分发给检测器。
+ * 内置检测器覆盖 ccEvo 的全部默认信号；领域信号（如部署失败、用户纠正 agent）
+ * 可以放在本地目录中，通过 --detectors=<dir> 或 CCEVO_DETECTORS_DIR 加载。
+ *
+ * 检测器定义：
+ *   {
+ *     name: 'deploy_failed',
+ *     consumes: ['message'],            // entry.type 列表，'*' 匹配所有条目（含无 type 的简化格式）
+ *     emits: ['deploy_failed'],         // 信号名，'前缀:*' 匹配一组信号
+ *     severity: { deploy_failed: 'high' }, // 可选，覆盖默认严重度
+ *     create() {                        // 每个收集器调用一次，返回带状态的实例
+ *       return {
+ *         add(entry, ctx) { ... },      // 每条匹配的条目调用一次
+ *         finish(ctx) { ... },          // 可选，所有条目处理完后调用
+ *       };
+ *     },
+ *   }
+ *
+ * ctx 提供 hit(name)、derive(name, sources, count)、errsig(message)、tally(key)、
+ * signal(name)、metric(name, value)、text(entry) 与 current（当前条目的证据），
+ * 见 core/signals 的 createSignalCollector。
+ */
+
+/** @constant {string[]} 合法的严重度 */
+const SEVERITY_LEVELS = ['info', 'low', 'medium', 'high'];
+
+/** @constant {string} 匹配所有条目的 consumes 通配符 */
+const ANY_ENTRY = '*';
+
+/** @constant {number} 计算工具错误率所需的最少结果数 */
+const TOOL_MIN_RESULTS = 5;
+
+/** @constant {number} 工具错误率达到此比例时产生 tool_error_rate_high */
+const TOOL_ERROR_RATE = 0.3;
+
+/** @constant {number} 调用到结果耗时达到此值（毫秒）视为慢调用 */
+const SLOW_TOOL_MS = 30000;
+
+/** @constant {number} 最多保留的未配对调用数，超出时丢弃最早的 */
+const MAX_PENDING_TOOL_CALLS = 500;
+
+/** 简化格式中表示工具失败的 status */
+const TOOL_FAILURE_STATUSES = ['error', 'failed', 'failure'];
+
+/** @constant {number} 单轮新消耗 token（input + cache_write + output）达到此值视为高消耗 */
+const HIGH_TURN_TOKENS = 50000;
+
+/** @constant {number} 假定的上下文窗口大小（token） */
+const CONTEXT_LIMIT_TOKENS = 200000;
+
+/** @constant {number} 上下文占用达到窗口的此比例时产生 context_pressure */
+const CONTEXT_PRESSURE_RATIO = 0.8;
+
+/** @constant {number} 最近几轮内上下文增长达到窗口的此比例时产生 rapid_context_growth */
+const CONTEXT_GROWTH_RATIO = 0.25;
+
+/** @constant {number} 计算上下文增长的轮数窗口 */
+const CONTEXT_GROWTH_TURNS = 5;
+
+/** @constant {number} 缓存未命中率达到此值时产生 cache_miss_rate_high */
+const CACHE_MISS_RATE = 0.7;
+
+/** @constant {number} 计算缓存未命中率所需的最少 prompt token */
+const CACHE_MIN_PROMPT_TOKENS = 100000;
+
+/** @constant {number} 单个 session 费用（美元）达到此值视为高成本 */
+const EXPENSIVE_SESSION_USD = 5;
+
+/** @constant {number} 没有费用数据时，单个 session token 总量达到此值视为高成本 */
+const EXPENSIVE_SESSION_TOKENS = 2000000;
+
+/** @constant {number} 单个 session 内切换模型达到此次数时产生 frequent_model_switching */
+const MODEL_SWITCH_THRESHOLD = 3;
+
+/** @constant {number} 计算模型错误率所需的最少 assistant 轮数 */
+const MODEL_MIN_TURNS = 5;
+
+/** @constant {number} 模型错误率达到此比例（且至少为其他模型的 2 倍）时产生 model_error_rate_high */
+const MODEL_ERROR_RATE = 0.3;
+
+/** @constant {string[]} 思考级别（由低到高） */
+const THINKING_LEVELS = ['off', 'minimal', 'low', 'medium', 'high', 'xhigh'];
+
+/** @constant {number} user_feature_request 信号最多携带的请求条数 */
+const MAX_SIGNAL_REQUESTS = 20;
+
+/**
+ * 从 message 条目中提取文本内容。
+ *
+ * @param {Object} entry - session log 条目
+ * @returns {string} 提取到的文本
+ */
+function extractText(entry) {
+  const msg = entry.message;
+  if (!msg) return '';
+  if (typeof msg.content === 'string') return msg.content;
+  if (Array.isArray(msg.content)) {
+    return msg.content
+      .filter(c => c.type === 'text' && c.text)
+      .map(c => c.text)
+      .join(' ');
+  }
+  return '';
+}
+
+/**
+ * 判断 assistant 消息是否出错。
+ *
+ * @param {Object} entry - message 条目
+ * @returns {boolean}
+ */
+function isErrorMessage(entry) {
+  return entry.message?.stopReason === 'error' || !!entry.message?.errorMessage;
+}
+
+/**
+ * 读取消息的 token 用量，兼容 OpenClaw（input / cacheRead / cost.total）
+ * 与 Anthropic（input_tokens / cache_read_input_tokens）两种字段名。
+ *
+ * @param {Object} message - 消息
+ * @returns {{ input: number, output: number, cacheRead: number, cacheWrite: number, cost: number|null }|null}
+ *   没有 usage 时返回 null
+ */
+function readUsage(message) {
+  const u = message && message.usage;
+  if (!u || typeof u !== 'object') return null;
+  const num = (...values) => {
+    const v = values.find(x => typeof x === 'number' && Number.isFinite(x));
+    return v === undefined ? 0 : v;
+  };
+  const cost = typeof u.cost === 'number' ? u.cost : u.cost?.total;
+  return {
+    input: num(u.input, u.input_tokens, u.prompt_tokens),
+    output: num(u.output, u.output_tokens, u.completion_tokens),
+    cacheRead: num(u.cacheRead, u.cache_read_input_tokens),
+    cacheWrite: num(u.cacheWrite, u.cache_creation_input_tokens),
+    cost: typeof cost === 'number' && Number.isFinite(cost) ? cost : null,
+  };
+}
+
+/**
+ * 判断检测器是否声明了某个信号。
+ *
+ * @param {Object} detector - 检测器定义
+ * @param {string} name - 信号名
+ * @returns {boolean}
+ */
+function emitsSignal(detector, name) {
+  return detector.emits.some(p => (p.endsWith(':*') ? name.startsWith(p.slice(0, -1)) : p === name));
+}
+
+/**
+ * 判断检测器是否消费某个条目。
+ *
+ * @param {Object} detector - 检测器定义
+ * @param {Object} entry - session log 条目
+ * @returns {boolean}
+ */
+function consumesEntry(detector, entry) {
+  return detector.consumes.includes(ANY_ENTRY) || detector.consumes.includes(entry.type);
+}
+
+/**
+ * 校验检测器定义。
+ *
+ * @param {Object} detector - 检测器定义
+ * @throws {Error} 定义不完整或字段非法时
+ */
+function validateDetector(detector) {
+  if (!detector || typeof detector !== 'object') throw new Error('Detector must be an object');
+  const { name } = detector;
+  if (typeof name !== 'string' || !name) throw new Error('Detector name is required');
+  for (const key of ['consumes', 'emits']) {
+    const list = detector[key];
+    if (!Array.isArray(list) || list.length === 0 || !list.every(v => typeof v === 'string' && v)) {
+      throw new Error(`Detector "${name}": ${key} must be a non-empty array of strings`);
+    }
+  }
+  if (typeof detector.create !== 'function') {
+    throw new Error(`Detector "${name}": create() is required`);
+  }
+  for (const [signal, level] of Object.entries(detector.severity || {})) {
+    if (!SEVERITY_LEVELS.includes(level)) {
+      throw new Error(`Detector "${name}": invalid severity "${level}" for ${signal} (use ${SEVERITY_LEVELS.join('/')})`);
+    }
+  }
+}
+
+// --- 内置检测器 ---
+
+/** 错误信号：log_error、按指纹聚类的 errsig、近期反复出现的 recurring_error */
+const errorDetector = {
+  name: 'errors',
+  consumes: [ANY_ENTRY],
+  emits: ['log_error', 'errsig:*', 'recurring_error'],
+  create() {
+    const errsigs = new Map();
+    return {
+      add(entry, ctx) {
+        // OpenClaw 原生格式：message.stopReason === 'error' 或 message.errorMessage 存在
+        if (entry.type === 'message' && entry.message && isErrorMessage(entry)) {
+          ctx.hit('log_error');
+          // 提取错误详情（去掉 JSON 包装和易变片段后聚类）
+          const detail = entry.message.errorMessage || entry.message.stopReason || '';
+          if (detail) {
+            const sig = ctx.errsig(detail);
+            errsigs.set(sig.name, sig);
+          }
+        }
+        // 简化格式兼容
+        if (entry.level === 'error' || (entry.type === 'error' && !entry.message)) {
+          ctx.hit('log_error');
+          if (entry.detail) {
+            const sig = ctx.errsig(String(entry.detail));
+            errsigs.set(sig.name, sig);
+          }
+        }
+      },
+      finish(ctx) {
+        // recurring_error：本轮出现的某个错误簇近期（24 小时内，可跨轮）出现 3 次以上，证据取近期最多的簇；
+        // 很久以前的累计次数不算，避免一个老错误偶尔再出现一次就被判为反复出错
+        const top = [...errsigs.values()].reduce((a, s) => (!a || s.recent > a.recent ? s : a), null);
+        if (top && top.recent >= 3) ctx.derive('recurring_error', [top], top.recent);
+      },
+    };
+  },
+};
+
+/** 会话健康：最近 assistant 消息全部成功 → 平台期；全部失败 → 反复出错且停滞 */
+const sessionHealthDetector = {
+  name: 'session_health',
+  consumes: ['message'],
+  emits: ['stable_success_plateau', 'recurring_error', 'evolution_stagnation'],
+  create() {
+    let count = 0;
+    let recent = [];   // 最近 10 条 assistant 消息是否出错
+    let allError = true;
+    let last = null;
+    return {
+      add(entry, ctx) {
+        if (entry.message?.role !== 'assistant') return;
+        count++;
+        const failed = isErrorMessage(entry);
+        if (!failed) allError = false;
+        recent.push(failed);
+        if (recent.length > 10) recent = recent.slice(-10);
+        last = ctx.current;
+      },
+      finish(ctx) {
+        if (count >= 10 && recent.every(failed => !failed)) {
+          ctx.derive('stable_success_plateau', [{ evidence: [last], last_seen: last.timestamp }], 10);
+        }
+        // 所有 assistant 消息都失败
+        if (count >= 5 && allError) {
+          const sources = [ctx.signal('log_error')].filter(Boolean);
+          ctx.derive('recurring_error', sources, count);
+          ctx.derive('evolution_stagnation', sources, count);
+        }
+      },
+    };
+  },
+};
+
+/** 简化格式的平台期：最近 10 条条目的 status/result 全部为 success */
+const statusPlateauDetector = {
+  name: 'status_plateau',
+  consumes: [ANY_ENTRY],
+  emits: ['stable_success_plateau'],
+  create() {
+    let count = 0;
+    let recent = [];
+    let last = null;
+    return {
+      add(entry, ctx) {
+        count++;
+        recent.push(entry.status === 'success' || entry.result === 'success');
+        if (recent.length > 10) recent = recent.slice(-10);
+        last = ctx.current;
+      },
+      finish(ctx) {
+        if (count >= 10 && recent.every(Boolean)) {
+          ctx.derive('stable_success_plateau', [{ evidence: [last], last_seen: last.timestamp }], 10);
+        }
+      },
+    };
+  },
+};
+
+/** 功能请求：用户消息命中中英文请求句式（见 core/intent），请求原文附在信号的 requests 上 */
+const featureRequestDetector = {
+  name: 'feature_request',
+  consumes: ['message', 'user_request'],
+  emits: ['user_feature_request'],
+  create() {
+    return {
+      add(entry, ctx) {
+        let text = null;
+        // OpenClaw 格式
+        if (entry.type === 'message' && entry.message?.role === 'user') text = ctx.text(entry);
+        // 简化格式兼容
+        if (entry.type === 'user_request' && typeof entry.message === 'string') text = entry.message;
+        const intent = text && detectFeatureRequest(text);
+        if (!intent) return;
+        const sig = ctx.hit('user_feature_request');
+        sig.requests = [...(sig.requests || []), { request: intent.request, language: intent.language, evidence: ctx.current }]
+          .slice(-MAX_SIGNAL_REQUESTS);
+      },
+    };
+  },
+};
+
+/** 工具使用：单个工具使用 5 次以上，或连续 3 次使用同一工具 */
+const toolUsageDetector = {
+  name: 'tool_usage',
+  consumes: [ANY_ENTRY],
+  emits: ['high_tool_usage:*', 'repeated_tool_usage:*'],
+  create() {
+    let lastTool = null;
+    let repeatCount = 0;
+    const use = (name, ctx) => {
+      ctx.tally(name);
+      repeatCount = name === lastTool ? repeatCount + 1 : 1;
+      lastTool = name;
+      if (repeatCount >= 3) ctx.hit(`repeated_tool_usage:${name}`);
+    };
+    return {
+      add(entry, ctx) {
+        // OpenClaw 格式：assistant 消息中的 tool_use content blocks
+        if (entry.type === 'message' && entry.message?.role === 'assistant' && Array.isArray(entry.message.content)) {
+          for (const block of entry.message.content) {
+            if (block.type === 'tool_use' && block.name) use(block.name, ctx);
+          }
+        }
+        // 简化格式
+        if (entry.tool_name) use(entry.tool_name, ctx);
+      },
+      finish(ctx) {
+        for (const tool of ctx.tallies()) {
+          if (tool.count >= 5) ctx.derive(`high_tool_usage:${tool.name}`, [tool], tool.count);
+        }
+      },
+    };
+  },
+};
+
+/**
+ * 工具结果：按 ID 配对调用与结果，统计失败、错误率和耗时。
+ *
+ * 支持三种格式：
+ * - Anthropic 格式：assistant 的 tool_use 块（id, name）↔ 消息中的 tool_result 块（tool_use_id, is_error）
+ * - OpenClaw 格式：assistant 的 toolCall 块（id, name）↔ role 为 toolResult 的消息（toolCallId, toolName, isError）
+ * - 简化格式：带 tool_name 的条目，status（error/failed/failure）或 is_error 表示失败，duration_ms 表示耗时
+ */
+const toolResultDetector = {
+  name: 'tool_results',
+  consumes: [ANY_ENTRY],
+  emits: ['tool_failure:*', 'tool_error_rate_high:*', 'slow_tool:*'],
+  create() {
+    const pending = new Map();   // 调用 ID → { name, time }
+    const stats = new Map();     // 工具名 → { results, failures }
+
+    const call = (id, name, ctx) => {
+      if (!id || !name) return;
+      pending.set(id, { name, time: ctx.current.timestamp ? Date.parse(ctx.current.timestamp) : null });
+      if (pending.size > MAX_PENDING_TOOL_CALLS) pending.delete(pending.keys().next().value);
+    };
+
+    const result = (name, failed, durationMs, ctx) => {
+      const s = stats.get(name) || { results: 0, failures: 0 };
+      s.results++;
+      stats.set(name, s);
+      if (failed) {
+        s.failures++;
+        ctx.hit(`tool_failure:${name}`);
+      }
+      if (durationMs !== null && durationMs >= SLOW_TOOL_MS) ctx.hit(`slow_tool:${name}`);
+    };
+
+    const paired = (id, fallbackName, failed, ctx) => {
+      const use = pending.get(id);
+      pending.delete(id);
+      const name = use ? use.name : fallbackName;
+      if (!name) return;
+      const now = ctx.current.timestamp ? Date.parse(ctx.current.timestamp) : null;
+      const durationMs = use && use.time !== null && now !== null ? now - use.time : null;
+      result(name, failed, durationMs, ctx);
+    };
+
+    return {
+      add(entry, ctx) {
+        const msg = entry.type === 'message' ? entry.message : null;
+        if (msg) {
+          if (msg.role === 'toolResult') {
+            paired(msg.toolCallId, msg.toolName, !!msg.isError, ctx);
+          }
+          if (Array.isArray(msg.content)) {
+            for (const block of msg.content) {
+              if (block.type === 'tool_use' || block.type === 'toolCall') call(block.id, block.name, ctx);
+              if (block.type === 'tool_result') paired(block.tool_use_id, null, !!block.is_error, ctx);
+            }
+          }
+        }
+        // 简化格式
+        if (entry.tool_name && (entry.status !== undefined || entry.is_error !== undefined || entry.duration_ms !== undefined)) {
+          const failed = !!entry.is_error || TOOL_FAILURE_STATUSES.includes(entry.status);
+          result(entry.tool_name, failed, typeof entry.duration_ms === 'number' ? entry.duration_ms : null, ctx);
+        }
+      },
+      finish(ctx) {
+        for (const [name, s] of stats) {
+          if (s.results >= TOOL_MIN_RESULTS && s.failures / s.results >= TOOL_ERROR_RATE) {
+            const failures = ctx.signal(`tool_failure:${name}`);
+            ctx.derive(`tool_error_rate_high:${name}`, failures ? [failures] : [], s.failures);
+          }
+        }
+      },
+    };
+  },
+};
+
+/**
+ * Token 用量：单轮高消耗、上下文逼近窗口或快速增长、缓存未命中率高、高成本 session。
+ *
+ * 按 session 文件分别跟踪上下文大小与累计用量；累计 token 与费用作为指标（ctx.metric）上报，
+ * 由 cycle_complete 事件记录，report 汇总为成本统计。
+ */
+const tokenUsageDetector = {
+  name: 'token_usage',
+  consumes: ['message'],
+  emits: ['high_token_turn', 'context_pressure', 'rapid_context_growth', 'cache_miss_rate_high', 'expensive_session'],
+  create() {
+    const sessions = new Map();   // session 文件 → { contexts, tokens, cost }
+    const totals = { prompt: 0, cacheRead: 0 };
+
+    return {
+      add(entry, ctx) {
+        const usage = readUsage(entry.message);
+        if (!usage) return;
+        const key = ctx.current.file || '(entries)';
+        const session = sessions.get(key) || { contexts: [], tokens: 0, cost: null };
+        sessions.set(key, session);
+
+        const context = usage.input + usage.cacheRead + usage.cacheWrite;
+        const fresh = usage.input + usage.cacheWrite + usage.output;
+        session.tokens += context + usage.output;
+        if (usage.cost !== null) session.cost = (session.cost || 0) + usage.cost;
+        totals.prompt += context;
+        totals.cacheRead += usage.cacheRead;
+        ctx.tally('turns');
+        ctx.tally(`session:${key}`);
+
+        ctx.metric('usage_turns', 1);
+        ctx.metric('tokens_input', usage.input);
+        ctx.metric('tokens_output', usage.output);
+        ctx.metric('tokens_cache_read', usage.cacheRead);
+        ctx.metric('tokens_cache_write', usage.cacheWrite);
+        if (usage.cost !== null) ctx.metric('cost_usd', usage.cost);
+
+        if (fresh >= HIGH_TURN_TOKENS) ctx.hit('high_token_turn');
+        if (context >= CONTEXT_LIMIT_TOKENS * CONTEXT_PRESSURE_RATIO) ctx.hit('context_pressure');
+
+        session.contexts.push(context);
+        if (session.contexts.length > CONTEXT_GROWTH_TURNS + 1) session.contexts.shift();
+        if (context - Math.min(...session.contexts) >= CONTEXT_LIMIT_TOKENS * CONTEXT_GROWTH_RATIO) {
+          ctx.hit('rapid_context_growth');
+        }
+      },
+      finish(ctx) {
+        const turns = ctx.tallies().find(t => t.name === 'turns');
+        if (turns && totals.prompt >= CACHE_MIN_PROMPT_TOKENS && 1 - totals.cacheRead / totals.prompt >= CACHE_MISS_RATE) {
+          ctx.derive('cache_miss_rate_high', [turns], turns.count);
+        }
+
+        const expensive = [...sessions].filter(([, s]) => (s.cost !== null
+          ? s.cost >= EXPENSIVE_SESSION_USD
+          : s.tokens >= EXPENSIVE_SESSION_TOKENS));
+        if (expensive.length > 0) {
+          const sources = ctx.tallies().filter(t => expensive.some(([key]) => t.name === `session:${key}`));
+          ctx.derive('expensive_session', sources, expensive.length);
+        }
+      },
+    };
+  },
+};
+
+/**
+ * 模型与思考级别：频繁切换模型、提升思考级别、错误集中在某个模型。
+ *
+ * 每个 session 跟踪当前模型（model_change 条目或 assistant 消息的 model 字段）和思考级别；
+ * 各模型的 assistant 轮数与出错轮数作为指标（model_turns:<model> / model_errors:<model>）上报，
+ * report 据此按模型统计错误率，区分模型退化与 skill 缺陷。
+ */
+const modelDetector = {
+  name: 'model_tracking',
+  consumes: ['model_change', 'thinking_level_change', 'message'],
+  emits: ['frequent_model_switching', 'escalated_thinking_level', 'model_error_rate_high:*'],
+  create() {
+    const sessions = new Map();   // session 文件 → { model, thinking, switches }
+    const models = new Map();     // 模型 → { turns, errors }
+
+    return {
+      add(entry, ctx) {
+        const key = ctx.current.file || '(entries)';
+        const session = sessions.get(key) || { model: null, thinking: null, switches: 0 };
+        sessions.set(key, session);
+
+        const switchTo = (model) => {
+          if (!model || model === session.model) return;
+          if (session.model) {
+            session.switches++;
+            ctx.tally(`switch:${key}`);
+          }
+          session.model = model;
+        };
+
+        if (entry.type === 'model_change') {
+          switchTo(entry.modelId || entry.model);
+        } else if (entry.type === 'thinking_level_change') {
+          const level = THINKING_LEVELS.indexOf(entry.thinkingLevel);
+          if (level !== -1 && session.thinking !== null && level > session.thinking) ctx.hit('escalated_thinking_level');
+          if (level !== -1) session.thinking = level;
+        } else if (entry.message?.role === 'assistant') {
+          switchTo(entry.message.model);
+          if (!session.model) return;
+          const stats = models.get(session.model) || { turns: 0, errors: 0 };
+          models.set(session.model, stats);
+          stats.turns++;
+          ctx.metric(`model_turns:${session.model}`, 1);
+          if (isErrorMessage(entry)) {
+            stats.errors++;
+            ctx.tally(`errors:${session.model}`);
+            ctx.metric(`model_errors:${session.model}`, 1);
+          }
+        }
+      },
+      finish(ctx) {
+        const switching = [...sessions].filter(([, s]) => s.switches >= MODEL_SWITCH_THRESHOLD);
+        if (switching.length > 0) {
+          const sources = ctx.tallies().filter(t => switching.some(([key]) => t.name === `switch:${key}`));
+          ctx.derive('frequent_model_switching', sources, Math.max(...switching.map(([, s]) => s.switches)));
+        }
+
+        // 错误集中在某个模型：自身错误率足够高，且至少为其他模型合计错误率的 2 倍
+        const all = [...models.values()].reduce((a, m) => ({ turns: a.turns + m.turns, errors: a.errors + m.errors }), { turns: 0, errors: 0 });
+        for (const [model, m] of models) {
+          if (m.turns < MODEL_MIN_TURNS || m.errors / m.turns < MODEL_ERROR_RATE) continue;
+          const otherTurns = all.turns - m.turns;
+          const otherRate = otherTurns >= MODEL_MIN_TURNS ? (all.errors - m.errors) / otherTurns : null;
+          if (otherRate !== null && m.errors / m.turns < otherRate * 2) continue;
+          const errors = ctx.tallies().find(t => t.name === `errors:${model}`);
+          ctx.derive(`model_error_rate_high:${model}`, errors ? [errors] : [], m.errors);
+        }
+      },
+    };
+  },
+};
+
+/** 修复循环：变异后固化失败 3 次以上 */
+const repairLoopDetector = {
+  name: 'repair_loop',
+  consumes: [ANY_ENTRY],
+  emits: ['repair_loop_detected'],
+  create() {
+    return {
+      add(entry, ctx) {
+        if (entry.mutation_applied && entry.solidify_failed) ctx.tally('solidify_failed');
+      },
+      finish(ctx) {
+        const failed = ctx.tallies().find(t => t.name === 'solidify_failed');
+        if (failed && failed.count >= 3) ctx.derive('repair_loop_detected', [failed], failed.count);
+      },
+    };
+  },
+};
+
+/** 能力提及：capability_mention 条目或 OpenClaw custom 事件 */
+const capabilityDetector = {
+  name: 'capability_mention',
+  consumes: ['capability_mention', 'custom'],
+  emits: ['capability_candidate:*'],
+  create() {
+    return {
+      add(entry, ctx) {
+        if (entry.type === 'capability_mention' && entry.name) {
+          ctx.hit(`capability_candidate:${entry.name}`);
+        }
+        if (entry.type === 'custom' && entry.customType === 'capability_mention' && entry.data?.name) {
+          ctx.hit(`capability_candidate:${entry.data.name}`);
+        }
+      },
+    };
+  },
+};
+
+/** @constant {Object[]} 内置检测器（按执行顺序） */
+const BUILTIN_DETECTORS = [
+  errorDetector,
+  sessionHealthDetector,
+  statusPlateauDetector,
+  featureRequestDetector,
+  toolUsageDetector,
+  toolResultDetector,
+  tokenUsageDetector,
+  modelDetector,
+  repairLoopDetector,
+  capabilityDetector,
+];
+
+/**
+ * 从目录加载检测器。
+ *
+ * 目录下每个 .js / .cjs 文件导出一个检测器、检测器数组或 { detectors: [...] }。
+ * 单个文件加载或校验失败不影响其他文件，错误记录在 errors 中。
+ *
+ * @param {string} dir - 检测器目录
+ * @returns {{ detectors: Object[], errors: Array<{ file: string, error: string }> }}
+ */
+function loadDetectorsFromDir(dir) {
+  const detectors = [];
+  const errors = [];
+  const root = path.resolve(dir);
+  if (!fs.existsSync(root)) {
+    return { detectors, errors: [{ file: root, error: 'Detector directory not found' }] };
+  }
+
+  const files = fs.readdirSync(root).filter(f => f.endsWith('.js') || f.endsWith('.cjs')).sort();
+  for (const f of files) {
+    const file = path.join(root, f);
+    try {
+      const exported = require(file);
+      const list = Array.isArray(exported) ? exported : (exported && exported.detectors) || [exported];
+      for (const detector of list) {
+        validateDetector(detector);
+        detectors.push({ ...detector, source: file });
+      }
+    } catch (err) {
+      errors.push({ file, error: err.message });
+    }
+  }
+  return { detectors, errors };
+}
+
+/**
+ * 创建检测器注册表。
+ *
+ * 注册同名检测器会替换已有的（可用于覆盖内置检测器）。
+ *
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.builtins=true] - 是否预先注册内置检测器
+ * @returns {{ register: Function, unregister: Function, loadDir: Function, list: Function }}
+ */
+function createDetectorRegistry(options = {}) {
+  const detectors = new Map();
+
+  /**
+   * 注册检测器。
+   *
+   * @param {Object} detector - 检测器定义
+   * @throws {Error} 定义非法时
+   */
+  function register(detector) {
+    validateDetector(detector);
+    detectors.set(detector.name, { source: 'builtin', ...detector });
+  }
+
+  /**
+   * 加载目录中的检测器并注册。
+   *
+   * @param {string} dir - 检测器目录
+   * @returns {{ loaded: string[], errors: Array<{ file: string, error: string }> }}
+   */
+  function loadDir(dir) {
+    const { detectors: found, errors } = loadDetectorsFromDir(dir);
+    for (const detector of found) register(detector);
+    return { loaded: found.map(d => d.name), errors };
+  }
+
+  if (options.builtins !== false) {
+    for (const detector of BUILTIN_DETECTORS) register(detector);
+  }
+
+  return {
+    register,
+    unregister: (name) => detectors.delete(name),
+    loadDir,
+    list: () => [...detectors.values()],
+  };
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  ANY_ENTRY,
+  TOOL_MIN_RESULTS,
+  TOOL_ERROR_RATE,
+  SLOW_TOOL_MS,
+  CONTEXT_LIMIT_TOKENS,
+  THINKING_LEVELS,
+  BUILTIN_DETECTORS,
+  extractText,
+  isErrorMessage,
+  readUsage,
+  emitsSignal,
+  consumesEntry,
+  validateDetector,
+  loadDetectorsFromDir,
+  createDetectorRegistry,
+};
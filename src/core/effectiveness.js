@@ -0,0 +1,95 @@
+'use strict';
+
+const { baseSignal, isTrackedSignal } = require('./ledger');
+
+/**
+ * 固化后效果评估。
+ *
+ * 成功固化的 Capsule 以 effect.status = 'pending' 开始，之后每个读到新 session
+ * 数据的周期检查一次它的触发信号（capsule.signals）是否再次出现：
+ * - 第一个观察周期就再次出现：ineffective（修复没有生效）；
+ * - 之后的观察周期才再次出现：regressed（生效过，后来回归）；
+ * - 连续 EFFECT_WINDOW_CYCLES 个周期都没有出现：effective。
+ * 结论写回 Capsule，供 VFM 与 Gene 选择使用实际效果而不是验证结果。
+ */
+
+/** @constant {number} 观察的周期数 */
+const EFFECT_WINDOW_CYCLES = 3;
+
+/**
+ * Capsule 需要观察的信号（去掉 regression: 前缀，不含功能请求）。
+ *
+ * @param {Object} capsule - Capsule 对象
+ * @returns {string[]}
+ */
+function watchedSignals(capsule) {
+  return [...new Set((capsule.signals || []).filter(isTrackedSignal).map(baseSignal))];
+}
+
+/**
+ * 用一个周期的信号观察一个 Capsule。
+ *
+ * 只统计证据晚于 Capsule 创建时间的信号；没有时间戳的信号无法确认是新证据，
+ * 与确认账本（core/ledger）一致，不算再次出现。
+ *
+ * @param {Object} capsule - 处于 pending 的 Capsule
+ * @param {Object[]} signals - 本周期的结构化信号
+ * @param {string} now - 当前时间（ISO）
+ * @returns {import('../gep/capsule').CapsuleEffect} 新的 effect
+ */
+function observeCapsule(capsule, signals, now) {
+  const watched = new Set(watchedSignals(capsule));
+  const recurred = signals
+    .filter(s => watched.has(s.name) && s.last_seen && s.last_seen > capsule.created_at)
+    .map(s => s.name);
+  const cyclesObserved = (capsule.effect.cycles_observed || 0) + 1;
+
+  let status = 'pending';
+  if (recurred.length > 0) status = cyclesObserved === 1 ? 'ineffective' : 'regressed';
+  else if (cyclesObserved >= EFFECT_WINDOW_CYCLES) status = 'effective';
+
+  return {
+    status,
+    cycles_observed: cyclesObserved,
+    recurred,
+    evaluated_at: status === 'pending' ? null : now,
+  };
+}
+
+/**
+ * 用本周期的信号推进所有待观察 Capsule 的效果评估。
+ *
+ * 只观察同一 agent、未回退、效果仍为 pending 的 Capsule。
+ *
+ * @param {Object[]} capsules - 全部 Capsule
+ * @param {Object[]} signals - 本周期的结构化信号（未经确认账本过滤）
+ * @param {Object} [options] - 选项
+ * @param {string|null} [options.agent] - 本周期的 agent
+ * @param {string} [options.now] - 当前时间（ISO，默认现在）
+ * @returns {{ capsules: Object[], observed: number, evaluated: Object[] }}
+ *   更新后的 Capsule 列表、本周期观察的 Capsule 数，以及本周期得出结论的 Capsule
+ */
+function evaluateCapsules(capsules, signals, options = {}) {
+  const now = options.now || new Date().toISOString();
+  const agent = options.agent || null;
+  let observed = 0;
+  const evaluated = [];
+
+  const updated = capsules.map((capsule) => {
+    if (capsule.reverted || capsule.effect?.status !== 'pending') return capsule;
+    if ((capsule.agent || null) !== agent || capsule.created_at >= now) return capsule;
+    observed++;
+    const next = { ...capsule, effect: observeCapsule(capsule, signals, now) };
+    if (next.effect.status !== 'pending') evaluated.push(next);
+    return next;
+  });
+
+  return { capsules: updated, observed, evaluated };
+}
+
+module.exports = {
+  EFFECT_WINDOW_CYCLES,
+  watchedSignals,
+  observeCapsule,
+  evaluateCapsules,
+};
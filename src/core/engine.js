@@ -3,19 +3,53 @@
 /**
  * 进化引擎主循环。
  *
- * 整合信号提取 → Gene 选择 → 变异 → 固化的完整进化流程。
+ * 整合信号提取 → Gene 选择 → 子 agent 执行变异 → 固化的完整进化流程。
  */
 
-const { extractSignals, extractFromSessions } = require('./signals');
-const { selectGene } = require('./selector');
+const {
+  createSignal, signalNames, describeSignal, createSignalCollector,
+} = require('./signals');
+const { listJSONLFiles, ingestFiles } = require('./ingest');
+const { createErrorClusterer } = require('./fingerprint');
+const { createDetectorRegistry } = require('./detectors');
+const {
+  BACKLOG_SIGNAL, requestKey, mergeRequests, updateRequest,
+} = require('./backlog');
+const { acknowledgeSignals, applyLedger } = require('./ledger');
+const { evaluateCapsules } = require('./effectiveness');
+const { listRecentSessionFiles } = require('../bridge');
+const { scoreCandidates, pickCandidate } = require('./selector');
+const { recordAttempt, tickCooldowns } = require('./cooldown');
+const { DEFAULT_POLICY, getPolicy } = require('./bandit');
+const { explainMatch } = require('../gep/gene');
 const { createMutation, checkStrategyAllowance } = require('../gep/mutation');
-const { createEvent } = require('../gep/event');
-const { loadGenes, appendEvent, loadEvents, loadCapsules } = require('../gep/store');
+const { BOOKKEEPING_EVENTS, createCycleId, createEvent } = require('../gep/event');
+const {
+  loadGenes, appendEvent, loadRecentEvents, countEvents, loadCapsules, saveCapsules, loadState, saveState, loadGeneFitness,
+} = require('../gep/store');
 const { solidify } = require('./solidify');
-const { getStrategy, autoDetectStrategy } = require('../strategy');
-const { createPersonality, updatePersonality, suggestFromPersonality } = require('../personality');
+const { executeGene } = require('./executor');
+const { captureBaseline, detectChanges } = require('./changes');
+const { discardSnapshot } = require('../adl/rollback');
+const {
+  detectDegradation, createOverrideState, updateStrategyOverride, DEGRADATION_EVENT_WINDOW,
+} = require('../adl/validator');
+const { getStrategy, explainStrategy, DETECT_EVENT_WINDOW } = require('../strategy');
+const {
+  createPersonality, updatePersonality, decayPersonality, computeStreak, appendHistory, suggestFromPersonality,
+  STREAK_EVENTS, STREAK_EVENT_WINDOW,
+} = require('../personality');
 const { computeVScore, isWorthEvolving } = require('../vfm/scorer');
 
+/** 人格建议不会覆盖的保护性策略 */
+const PROTECTIVE_STRATEGIES = ['repair-only', 'harden', 'early-stabilize'];
+
+/** gene_selected 事件中记录的候选排名条数 */
+const RANKING_LIMIT = 5;
+
+/** 反映进化行为的事件（周期记录类事件除外） */
+const isEvolutionEvent = e => !BOOKKEEPING_EVENTS.includes(e.event_type);
+
 /**
  * 进化引擎。
  */
@@ -23,76 +57,253 @@ class EvolutionEngine {
   /**
    * @param {Object} options - 引擎选项
    * @param {string} [options.strategy] - 策略名称（null=自动检测）
-   * @param {string} [options.agentName] - OpenClaw agent 名称
-   * @param {string} [options.sessionsDir] - 自定义 sessions 目录
+   * @param {string} [options.agentName] - OpenClaw agent 名称（从该 agent 最近的 sessions 提取信号）
+   * @param {string} [options.sessionsDir] - 自定义 sessions 目录（优先于 agentName）
+   * @param {string} [options.openclawDir] - OpenClaw 根目录（默认 ~/.openclaw）
+   * @param {number} [options.since] - 忽略读取游标，只处理此时间（毫秒）之后的 session 条目
+   * @param {boolean} [options.fullRescan=false] - 忽略读取游标，重新处理全部 session 条目
+   * @param {string} [options.detectorsDir] - 额外信号检测器目录（默认 CCEVO_DETECTORS_DIR）
+   * @param {string} [options.selectionPolicy] - Gene 选择策略（greedy | ucb | thompson，默认 CCEVO_SELECTION_POLICY 或 greedy）
    * @param {string} [options.cwd] - 工作目录
-   * @param {boolean} [options.dryRun=false] - 干运行模式
+   * @param {boolean} [options.dryRun=false] - 干运行模式（不派发子 agent）
+   * @param {string} [options.thinking] - 子 agent 思考级别
+   * @param {number} [options.timeoutSec] - 子 agent 超时秒数
    * @param {boolean} [options.verbose=false] - 详细输出
    */
   constructor(options = {}) {
     this.options = options;
-    this.personality = createPersonality();
+    this.personality = this._loadPersonality();
+    this.detectors = this._loadDetectors();
+    // 选择策略在读取 session 之前校验，名称无效时不推进读取游标
+    this.selectionPolicy = getPolicy(
+      options.selectionPolicy || process.env.CCEVO_SELECTION_POLICY || DEFAULT_POLICY,
+    ).name;
     this.cycleCount = 0;
+    this.currentCycleId = null;
   }
 
   /**
    * 执行一轮完整进化周期。
    *
+   * 周期内产生的所有事件共享同一 cycle_id，结束时（包括跳过和异常）
+   * 追加一条 cycle_complete 事件记录结果、跳过原因、耗时和策略。
+   *
    * @returns {Promise<Object>} 进化结果
    */
   async runCycle() {
+    const startedAt = Date.now();
     const result = {
       cycle: ++this.cycleCount,
+      cycle_id: createCycleId(),
+      agent: this.options.agentName || null,
       signals: [],
+      signalDetails: [],
+      suppressedSignals: [],
+      matchedSignals: [],
+      metrics: null,
       gene: null,
       mutation: null,
+      execution: null,
+      changes: null,
       solidifyResult: null,
       skipped: false,
       reason: null,
+      strategy: null,
+      strategyReasons: [],
+      strategyOverride: null,
+      selectionPolicy: null,
+      error: null,
     };
+    this.currentCycleId = result.cycle_id;
+
+    try {
+      await this._runStages(result);
+    } catch (err) {
+      result.error = err.message;
+      throw err;
+    } finally {
+      let outcome = 'failed';
+      if (result.error) outcome = 'error';
+      else if (result.skipped) outcome = 'skipped';
+      else if (result.solidifyResult && result.solidifyResult.success) outcome = 'success';
 
-    // 1. 提取信号
-    result.signals = this._extractSignals();
+      this._emit({
+        event_type: 'cycle_complete',
+        payload: {
+          cycle: result.cycle,
+          outcome,
+          skip_reason: result.skipped ? result.reason : null,
+          failure_reason: outcome === 'failed' ? result.solidifyResult?.reason ?? null : result.error,
+          duration_ms: Date.now() - startedAt,
+          strategy: result.strategy,
+          strategy_override: result.strategyOverride,
+          selection_policy: result.selectionPolicy,
+          signals_count: result.signals.length,
+          metrics: result.metrics,
+          agent: result.agent,
+          dry_run: !!this.options.dryRun,
+        },
+        gene_id: result.gene ? result.gene.id : null,
+      });
+      this.currentCycleId = null;
+    }
+
+    return result;
+  }
+
+  /**
+   * 依次执行周期各阶段，就地填充 result。
+   *
+   * @param {Object} result - runCycle 创建的结果对象
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runStages(result) {
+    // 人格状态可能被其他进程更新过，每轮重新读取并按空闲时长衰减
+    this.personality = this._loadPersonality();
+
+    // 0. 劣化检测：必要时在冷却期内覆盖策略
+    result.strategyOverride = this._applyDegradationGuard();
+
+    // 1. 提取信号；先用未过滤的信号评估此前 Capsule 的实际效果，
+    //    再按确认账本抑制已处理的信号、标记回归
+    const extracted = await this._extractSignals();
+    if (extracted.entries > 0 && !this.options.dryRun) this._evaluateCapsules(extracted.signals);
+    const acknowledged = this._applySignalLedger(extracted.signals);
+    result.signalDetails = acknowledged.signals;
+    result.suppressedSignals = acknowledged.suppressed;
+    result.metrics = extracted.metrics;
+    result.signals = signalNames(result.signalDetails);
     if (result.signals.length === 0) {
       result.skipped = true;
-      result.reason = 'no_signals';
-      this._log('No signals extracted, cycle skipped');
-      return result;
+      result.reason = result.suppressedSignals.length > 0 ? 'signals_acknowledged' : 'no_signals';
+      this._log(result.suppressedSignals.length > 0
+        ? `All signals already handled (${result.suppressedSignals.map(s => s.signal).join(', ')}), cycle skipped`
+        : 'No signals extracted, cycle skipped');
+      return;
     }
 
-    appendEvent(createEvent({
+    this._emit({
       event_type: 'signal_extracted',
-      payload: { signals: result.signals, count: result.signals.length },
-    }));
-    this._log(`Extracted ${result.signals.length} signals: ${result.signals.join(', ')}`);
-
-    // 2. 确定策略
-    const events = loadEvents();
-    const strategyName = this.options.strategy || autoDetectStrategy(events);
-    const strategy = getStrategy(strategyName);
-    this._log(`Strategy: ${strategyName}`);
+      payload: {
+        signals: result.signals,
+        count: result.signals.length,
+        agent: result.agent,
+        details: result.signalDetails,
+        suppressed: result.suppressedSignals,
+        regressions: acknowledged.regressions,
+      },
+    });
+    this._log(`Extracted ${result.signals.length} signals: ${result.signalDetails.map(describeSignal).join('; ')}`);
 
-    // 3. 人格建议
+    // 2. 人格建议
     const personalitySuggestion = suggestFromPersonality(this.personality);
 
-    // 4. 选择 Gene
-    result.gene = selectGene(result.signals, {
+    // 3. 确定策略
+    // 只读取最近的事件：策略检测本身只看最近窗口内的周期
+    const events = loadRecentEvents(DETECT_EVENT_WINDOW);
+    let strategyName;
+    if (this.options.strategy) {
+      strategyName = this.options.strategy;
+      result.strategyReasons = ['forced via --strategy'];
+      if (result.strategyOverride) {
+        result.strategyReasons.push(`degradation override ${result.strategyOverride} ignored`);
+      }
+    } else if (result.strategyOverride) {
+      strategyName = result.strategyOverride;
+      result.strategyReasons = ['degradation override active'];
+    } else {
+      const detected = explainStrategy(events);
+      strategyName = detected.strategy;
+      result.strategyReasons = detected.reasons;
+      // 人格倾向只在历史未要求保护性策略时生效
+      if (
+        personalitySuggestion.strategyHint &&
+        personalitySuggestion.strategyHint !== strategyName &&
+        !PROTECTIVE_STRATEGIES.includes(strategyName)
+      ) {
+        result.strategyReasons.push(
+          `personality hint (${this.personality.mood}, confidence ${this.personality.confidence.toFixed(2)}, ` +
+          `risk ${this.personality.risk_appetite.toFixed(2)}) overrides ${strategyName}`,
+        );
+        strategyName = personalitySuggestion.strategyHint;
+      }
+    }
+    const strategy = getStrategy(strategyName);
+    result.strategy = strategyName;
+    this._log(`Strategy: ${strategyName} (${result.strategyReasons.join('; ')})`);
+
+    // 4. 选择 Gene（人格偏好的类别优先，按选择策略参考历史表现，跳过冷却中的 Gene）
+    result.selectionPolicy = this.selectionPolicy;
+    const fitness = loadGeneFitness();
+    const cooldowns = loadState('gene_cooldowns', {}) || {};
+    const candidates = scoreCandidates(result.signalDetails, {
       preferCategory: personalitySuggestion.preferCategory,
+      // 策略权重为 0 的类别不参与选择（如 repair-only 下的 innovate）
+      excludeCategories: ['repair', 'optimize', 'innovate'].filter(c => strategy[c] === 0),
+      policy: result.selectionPolicy,
+      fitness,
     });
+    const { candidate, cooling, diversity } = pickCandidate(candidates, { cooldowns, fitness, agent: result.agent });
+    // 到达选择的周期计为本 agent 的一个冷却轮次
+    if (candidates.length > 0 && !this.options.dryRun) saveState('gene_cooldowns', tickCooldowns(cooldowns, result.agent));
+    result.gene = candidate ? candidate.gene : null;
+    const coolingList = cooling.map(c => `${c.gene_id} (${c.remaining} cycle(s) after ${c.reason})`).join(', ');
 
     if (!result.gene) {
       result.skipped = true;
-      result.reason = 'no_matching_gene';
-      this._log('No matching gene found');
-      return result;
+      if (cooling.length > 0) {
+        result.reason = 'genes_cooling_down';
+        this._log(`All matching genes cooling down: ${coolingList}`);
+      } else {
+        result.reason = 'no_matching_gene';
+        this._log('No matching gene found');
+      }
+      return;
     }
 
-    appendEvent(createEvent({
+    // 记录选中原因：哪些信号匹配了 Gene 的 signals_match
+    result.matchedSignals = explainMatch(result.gene, result.signalDetails)
+      .filter(m => m.weight > 0)
+      .map(m => ({
+        pattern: m.pattern,
+        weight: m.weight,
+        kind: m.kind,
+        signal: m.signal.name,
+        count: m.signal.count,
+        severity: m.signal.severity,
+      }));
+
+    this._emit({
       event_type: 'gene_selected',
-      payload: { gene_id: result.gene.id, category: result.gene.category },
+      payload: {
+        gene_id: result.gene.id,
+        category: result.gene.category,
+        matched_signals: result.matchedSignals,
+        policy: result.selectionPolicy,
+        score: candidate.score,
+        match_score: candidate.match,
+        fitness: candidate.fitness,
+        candidates: candidates.length,
+        // 选择依据：排名靠前的候选、因冷却被跳过的 Gene、多样性规则跳过的最优候选
+        ranking: candidates.slice(0, RANKING_LIMIT).map(c => ({
+          gene_id: c.gene.id,
+          score: c.score,
+          match_score: c.match,
+          attempts: fitness[c.gene.id]?.attempts || 0,
+        })),
+        cooling_down: cooling,
+        diversity,
+      },
       gene_id: result.gene.id,
-    }));
-    this._log(`Selected gene: ${result.gene.id} (${result.gene.category})`);
+    });
+    this._log(`Selected gene: ${result.gene.id} (${result.gene.category}, policy ${result.selectionPolicy}, score ${candidate.score.toFixed(2)})`);
+    if (cooling.length > 0) {
+      this._log(`Cooling down: ${coolingList}`);
+    }
+    if (diversity) {
+      this._log(`Preferred untried ${result.gene.id} over ${diversity.preferred_over} (score ${diversity.top_score.toFixed(2)})`);
+    }
 
     // 5. 策略允许检查
     const capsules = loadCapsules();
@@ -109,7 +320,7 @@ class EvolutionEngine {
       result.skipped = true;
       result.reason = `strategy_blocked: ${allowance.reason}`;
       this._log(`Strategy blocked: ${allowance.reason}`);
-      return result;
+      return;
     }
 
     // 6. VFM 检查（如果关联能力节点）
@@ -118,84 +329,403 @@ class EvolutionEngine {
         result.skipped = true;
         result.reason = `low_v_score: ${result.gene.v_score}`;
         this._log(`V-Score too low: ${result.gene.v_score}`);
-        return result;
+        return;
       }
     }
 
-    // 7. 创建变异提案
+    // 7. 创建变异提案（触发信号只取 Gene 命中的信号，Capsule 据此观察实际效果）
     result.mutation = createMutation({
       category: result.gene.category,
-      trigger_signals: result.signals,
+      trigger_signals: [...new Set(result.matchedSignals.map(m => m.signal))],
       target: result.gene.strategy.join(' → '),
       expected_effect: `Execute gene ${result.gene.id}: ${result.gene.strategy.slice(0, 2).join(', ')}`,
       gene_id: result.gene.id,
     });
 
-    appendEvent(createEvent({
+    // 8. 派发子 agent 执行 Gene（干运行时跳过），执行前后对比工作区
+    const cwd = this.options.cwd || process.cwd();
+    let baseline = null;
+    if (!this.options.dryRun) {
+      baseline = captureBaseline(cwd);
+      this._log(`Dispatching gene ${result.gene.id} to sub-agent`);
+      result.execution = await executeGene({
+        gene: result.gene,
+        mutation: result.mutation,
+        signals: result.signalDetails,
+        agentId: this.options.agentName,
+        thinking: this.options.thinking,
+        timeoutSec: this.options.timeoutSec,
+        cwd,
+      });
+      this._log(
+        result.execution.success
+          ? `Sub-agent finished in ${result.execution.duration_ms}ms`
+          : `Sub-agent failed: ${result.execution.error}`,
+      );
+
+      result.changes = detectChanges(cwd, baseline);
+      if (result.changes.error) {
+        // 无法确认改了哪些文件时不固化（solidify 按 change_detection_failed 失败并回滚）
+        this._log(`Change detection failed: ${result.changes.error}`);
+      } else {
+        this._log(
+          `Changes: ${result.changes.changedFiles.length} changed, ` +
+          `${result.changes.newFiles.length} new, ${result.changes.deletedFiles.length} deleted ` +
+          `(+${result.changes.lineStats.additions}/-${result.changes.lineStats.deletions})`,
+        );
+      }
+    }
+    const changes = result.changes || {};
+
+    this._emit({
       event_type: 'mutation_applied',
       payload: {
         category: result.mutation.category,
         target: result.mutation.target,
         risk_level: result.mutation.risk_level,
+        executed: !!result.execution,
+        execution_success: result.execution ? result.execution.success : null,
+        execution_error: result.execution ? result.execution.error : null,
+        duration_ms: result.execution ? result.execution.duration_ms : null,
+        files: changes.fileStats || {},
       },
       gene_id: result.gene.id,
-    }));
+    });
 
-    // 8. 固化
+    // 9. 固化
     result.solidifyResult = await solidify({
       gene: result.gene,
       mutation: result.mutation,
-      changedFiles: [],
-      newFiles: [],
-      lineStats: { additions: 0, deletions: 0 },
+      execution: result.execution,
+      changedFiles: changes.changedFiles || [],
+      newFiles: changes.newFiles || [],
+      deletedFiles: changes.deletedFiles || [],
+      lineStats: changes.lineStats || { additions: 0, deletions: 0 },
+      changeError: changes.error || null,
+      snapshot: baseline ? baseline.workspace : null,
       dryRun: this.options.dryRun,
-      cwd: this.options.cwd,
+      cwd,
+      cycleId: result.cycle_id,
+      agent: result.agent,
     });
+    // 成功 Capsule 引用的 journal 快照保留以便之后回退（由 solidify 裁剪），其余的释放
+    if (baseline && !result.solidifyResult.capsule?.snapshot) discardSnapshot(baseline.workspace);
+    if (result.solidifyResult.success) {
+      this._acknowledgeSignals(result);
+      this._resolveFeatureRequests(result);
+    }
+    // 尝试过的 Gene 进入冷却，连续失败时退避
+    if (!this.options.dryRun) {
+      const next = recordAttempt(loadState('gene_cooldowns', {}), result.gene.id, result.solidifyResult.success, result.agent);
+      saveState('gene_cooldowns', next);
+    }
 
-    // 9. 更新人格
+    // 10. 更新人格：连击数从事件历史计算（已包含本轮固化事件），并记录历史
+    const streak = computeStreak(loadRecentEvents(STREAK_EVENT_WINDOW, { filter: e => e.event_type in STREAK_EVENTS }));
     this.personality = updatePersonality(this.personality, {
       success: result.solidifyResult.success,
       category: result.gene.category,
+      streak: streak.length,
     });
+    // 干运行没有真实结果，不持久化
+    if (!this.options.dryRun) {
+      this._savePersonality({
+        cycle_id: result.cycle_id,
+        outcome: result.solidifyResult.success ? 'success' : 'failure',
+        streak: streak.length,
+      });
+    }
 
     this._log(
       result.solidifyResult.success
         ? `Solidify success: ${result.gene.id}`
-        : `Solidify failed: ${result.solidifyResult.adl?.violations?.join(', ') || 'validation'}`,
+        : `Solidify failed: ${result.solidifyResult.reason}`,
     );
+  }
 
-    return result;
+  /**
+   * 运行劣化检测并推进策略覆盖状态。
+   *
+   * 状态持久化在 store 中，跨 CLI 调用保持；进入、升级、退出覆盖时
+   * 记录 strategy_changed 事件。干运行只计算本轮生效的覆盖，不保存状态也不记录事件，
+   * 不会进入、退出覆盖或消耗冷却期。
+   *
+   * @returns {string|null} 当前生效的覆盖策略，无覆盖时为 null
+   * @private
+   */
+  _applyDegradationGuard() {
+    const detection = detectDegradation(loadCapsules(), loadRecentEvents(DEGRADATION_EVENT_WINDOW, { filter: isEvolutionEvent }));
+    const previous = loadState('strategy_override', createOverrideState());
+    const { state, transition } = updateStrategyOverride(previous, detection);
+    if (!this.options.dryRun) saveState('strategy_override', state);
+
+    if (transition && !this.options.dryRun) {
+      this._emit({
+        event_type: 'strategy_changed',
+        payload: {
+          transition,
+          from: previous.active ? previous.strategy : 'auto',
+          to: state.active ? state.strategy : 'auto',
+          indicators: detection.indicators,
+          recommendation: detection.recommendation,
+        },
+      });
+      this._log(
+        transition === 'exited'
+          ? `Health recovered, leaving ${previous.strategy} override`
+          : `Degradation detected (${detection.indicators.join(', ')}), switching to ${state.strategy}`,
+      );
+    } else if (transition) {
+      this._log(`Dry run: strategy override would be ${transition} (${state.active ? state.strategy : 'auto'}), not saved`);
+    }
+
+    return state.active ? state.strategy : null;
+  }
+
+  /**
+   * 创建信号检测器注册表：内置检测器 + 配置目录中的检测器。
+   *
+   * 目录中加载失败的文件输出警告后跳过，不影响其余检测器。
+   *
+   * @returns {Object} 检测器注册表
+   * @private
+   */
+  _loadDetectors() {
+    const registry = createDetectorRegistry();
+    const dir = this.options.detectorsDir || process.env.CCEVO_DETECTORS_DIR;
+    if (dir) {
+      const { loaded, errors } = registry.loadDir(dir);
+      for (const err of errors) console.warn(`[ccEvo] Detector ${err.file}: ${err.error}`);
+      if (loaded.length > 0) this._log(`Loaded detectors from ${dir}: ${loaded.join(', ')}`);
+    }
+    return registry;
+  }
+
+  /**
+   * 读取持久化的人格状态并按空闲时长衰减，首次运行时创建默认人格。
+   *
+   * @returns {Object}
+   * @private
+   */
+  _loadPersonality() {
+    return decayPersonality(loadState('personality', createPersonality()));
+  }
+
+  /**
+   * 保存人格状态，并在 personality_history 中追加一条快照。
+   *
+   * @param {Object} context - 快照附加上下文
+   * @private
+   */
+  _savePersonality(context) {
+    saveState('personality', this.personality);
+    saveState('personality_history', appendHistory(loadState('personality_history', []), this.personality, context));
+  }
+
+  /**
+   * 按持久化游标增量读取 session 文件，把新条目交给信号收集器。
+   *
+   * 错误簇表（error_clusters）随游标一起持久化，errsig 信号名在各轮之间保持稳定。
+   * 干运行不推进游标，也不保存簇表。
+   *
+   * @param {string[]} files - session 文件完整路径
+   * @returns {Promise<{ signals: Object[], metrics: Object<string, number> }>} 结构化信号与检测器上报的指标
+   * @private
+   */
+  async _ingest(files) {
+    const clusterer = createErrorClusterer(loadState('error_clusters', {}));
+    const collector = createSignalCollector({ clusterer, detectors: this.detectors.list() });
+    const { count, cursors, resets, errors } = await ingestFiles(files, loadState('ingest_cursors', {}), {
+      onEntry: collector.add,
+      since: this.options.since ?? undefined,
+      fullRescan: !!this.options.fullRescan,
+    });
+    for (const { file, reason } of resets) {
+      this._log(`Session file ${reason}, reading from start: ${file}`);
+    }
+    for (const err of errors) {
+      this._log(`Skipped ${err.file}:${err.line}: ${err.reason} (${err.error})`);
+    }
+    const signals = collector.finish();
+    for (const err of collector.errors) {
+      console.warn(`[ccEvo] Detector "${err.detector}" failed: ${err.error}`);
+    }
+    this._recordFeatureRequests(signals);
+    if (!this.options.dryRun) {
+      saveState('ingest_cursors', cursors);
+      saveState('error_clusters', clusterer.clusters());
+    }
+    this._log(`Ingested ${count} new session entries from ${files.length} file(s)`);
+    return { signals, metrics: collector.metrics(), entries: count };
+  }
+
+  /**
+   * 用本轮读到的 session 信号推进此前 Capsule 的效果评估，
+   * 得出结论的 Capsule 记录 capsule_evaluated 事件。
+   *
+   * @param {Object[]} signals - 本轮信号（未经确认账本过滤）
+   * @private
+   */
+  _evaluateCapsules(signals) {
+    const { capsules, observed, evaluated } = evaluateCapsules(loadCapsules(), signals, {
+      agent: this.options.agentName,
+    });
+    if (observed === 0) return;
+    saveCapsules(capsules);
+    for (const capsule of evaluated) {
+      this._emit({
+        event_type: 'capsule_evaluated',
+        payload: {
+          capsule_id: capsule.id,
+          status: capsule.effect.status,
+          cycles_observed: capsule.effect.cycles_observed,
+          recurred: capsule.effect.recurred,
+          agent: capsule.agent,
+        },
+        gene_id: capsule.gene_id,
+      });
+      this._log(`Capsule ${capsule.id} evaluated: ${capsule.effect.status}` +
+        `${capsule.effect.recurred.length > 0 ? ` (recurred: ${capsule.effect.recurred.join(', ')})` : ''}`);
+    }
+  }
+
+  /**
+   * 按确认账本过滤信号：抑制窗口内已处理且未再出现的信号被移除，
+   * 处理之后再次出现的信号附加 regression:<signal>。
+   *
+   * @param {Object[]} signals - 本轮信号
+   * @returns {{ signals: Object[], suppressed: Object[], regressions: Object[] }}
+   * @private
+   */
+  _applySignalLedger(signals) {
+    const { ledger, ...rest } = applyLedger(signals, loadState('signal_ledger', {}), { agent: this.options.agentName });
+    for (const { signal, capsule_id } of rest.regressions) {
+      this._log(`Regression: ${signal} recurred after ${capsule_id}`);
+    }
+    if (!this.options.dryRun) saveState('signal_ledger', ledger);
+    return rest;
+  }
+
+  /**
+   * 固化成功后把 Gene 命中的信号记入确认账本，关联本轮 Capsule。
+   * 证据全部来自命中信号的同一批 session 条目的信号（如 recurring_error
+   * 背后的 errsig 簇）一并记入。
+   *
+   * @param {Object} result - 本轮结果
+   * @private
+   */
+  _acknowledgeSignals(result) {
+    const capsule = result.solidifyResult?.capsule;
+    if (!capsule) return;
+    const matched = new Set(result.matchedSignals.map(m => m.signal));
+    const keyOf = e => `${e.file}:${e.line}:${e.timestamp}`;
+    const handled = new Set(result.signalDetails
+      .filter(s => matched.has(s.name))
+      .flatMap(s => s.evidence.map(keyOf)));
+    const covered = result.signalDetails
+      .filter(s => s.evidence.length > 0 && s.evidence.every(e => handled.has(keyOf(e))))
+      .map(s => s.name);
+    const ledger = acknowledgeSignals(
+      loadState('signal_ledger', {}),
+      [...matched, ...covered],
+      { capsule_id: capsule.id, gene_id: result.gene.id, agent: this.options.agentName },
+    );
+    saveState('signal_ledger', ledger);
+  }
+
+  /**
+   * 把 user_feature_request 信号携带的请求原文合并进功能请求待办，
+   * 并在信号上记录关联的待办条目 ID（backlog_ids）。已被忽略（dismissed）的请求
+   * 从信号中移除，不再交给子 agent；请求全部被忽略时整个信号从本轮移除。
+   *
+   * @param {Object[]} signals - 本轮信号（原地修改）
+   * @private
+   */
+  _recordFeatureRequests(signals) {
+    const sig = signals.find(s => s.name === BACKLOG_SIGNAL);
+    if (!sig || !sig.requests || sig.requests.length === 0) return;
+    const { backlog, ids } = mergeRequests(loadState('feature_backlog', []), sig.requests);
+    const dismissed = backlog.filter(item => item.status === 'dismissed');
+    const dismissedKeys = new Set(dismissed.map(item => requestKey(item.request)));
+    sig.requests = sig.requests.filter(r => !dismissedKeys.has(requestKey(r.request)));
+    sig.backlog_ids = ids.filter(id => !dismissed.some(item => item.id === id));
+    if (sig.requests.length === 0) signals.splice(signals.indexOf(sig), 1);
+    if (!this.options.dryRun) saveState('feature_backlog', backlog);
+  }
+
+  /**
+   * 固化成功且 Gene 由 user_feature_request 触发时，把关联的待办条目标记为已处理。
+   *
+   * @param {Object} result - 本轮结果
+   * @private
+   */
+  _resolveFeatureRequests(result) {
+    const capsule = result.solidifyResult?.capsule;
+    if (!capsule || !result.matchedSignals.some(m => m.signal === BACKLOG_SIGNAL)) return;
+    const sig = result.signalDetails.find(s => s.name === BACKLOG_SIGNAL);
+    let backlog = loadState('feature_backlog', []);
+    for (const id of sig?.backlog_ids || []) {
+      backlog = updateRequest(backlog, id, 'addressed', capsule.id).backlog;
+    }
+    saveState('feature_backlog', backlog);
   }
 
   /**
    * 提取信号。
    *
-   * @returns {string[]}
+   * 来源优先级：sessionsDir → agentName 最近的 sessions → 事件历史推断。
+   * sessions 按读取游标增量流式处理，只有新条目会产生信号。
+   *
+   * @returns {Promise<{ signals: Object[], metrics: Object<string, number>|null, entries: number }>}
+   *   结构化信号（见 core/signals 的 Signal）、本轮 session 指标（事件推断时为 null）
+   *   与读到的新 session 条目数（事件推断时为 0）
    * @private
    */
-  _extractSignals() {
+  async _extractSignals() {
     if (this.options.sessionsDir) {
-      return extractFromSessions(this.options.sessionsDir);
+      return this._ingest(listJSONLFiles(this.options.sessionsDir));
+    }
+    if (this.options.agentName) {
+      return this._ingest(listRecentSessionFiles(this.options.agentName, undefined, this.options.openclawDir));
     }
     // 如果没有指定 sessions 目录，从事件历史中推断信号
-    const events = loadEvents();
-    if (events.length === 0) return [];
+    // 周期记录类事件不反映进化行为本身，不参与推断
+    const recent = loadRecentEvents(20, { filter: isEvolutionEvent });
+    if (recent.length === 0) return { signals: [], metrics: null, entries: 0 };
 
     const signals = [];
-    const recent = events.slice(-20);
+    // 事件推断的信号没有 session 证据，只记录来源事件的时间范围
+    const fromEvents = (name, matched) => signals.push(createSignal(name, {
+      count: matched.length,
+      first_seen: matched[0]?.timestamp,
+      last_seen: matched[matched.length - 1]?.timestamp,
+    }));
 
     // 从事件中推断信号
-    const failCount = recent.filter(e => e.event_type === 'solidify_failed').length;
-    const rollbackCount = recent.filter(e => e.event_type === 'rollback').length;
+    const failed = recent.filter(e => e.event_type === 'solidify_failed');
+    const rollbacks = recent.filter(e => e.event_type === 'rollback');
 
-    if (failCount >= 3) signals.push('recurring_error');
-    if (rollbackCount >= 3) signals.push('repair_loop_detected');
-    if (recent.every(e => e.event_type === 'solidify_success')) signals.push('stable_success_plateau');
+    if (failed.length >= 3) fromEvents('recurring_error', failed);
+    if (rollbacks.length >= 3) fromEvents('repair_loop_detected', rollbacks);
+    if (recent.every(e => e.event_type === 'solidify_success')) fromEvents('stable_success_plateau', recent);
     if (recent.length === 0 || recent.every(e => e.event_type === 'signal_extracted')) {
-      signals.push('evolution_stagnation');
+      fromEvents('evolution_stagnation', recent);
     }
 
-    return signals;
+    return { signals, metrics: null, entries: 0 };
+  }
+
+  /**
+   * 追加一条带当前 cycle_id 的事件。
+   *
+   * @param {Object} params - createEvent 参数
+   * @returns {Object} 已写入的事件
+   * @private
+   */
+  _emit(params) {
+    const event = createEvent({ ...params, cycle_id: this.currentCycleId });
+    appendEvent(event);
+    return event;
   }
 
   /**
@@ -221,7 +751,7 @@ class EvolutionEngine {
       personality: this.personality,
       genesCount: loadGenes().length,
       capsulesCount: loadCapsules().length,
-      eventsCount: loadEvents().length,
+      eventsCount: countEvents(),
     };
   }
 }
@@ -0,0 +1,99 @@
+'use strict';
+
+const { sessionsSpawnAsync } = require('../bridge');
+const { describeSignal } = require('./signals');
+
+/**
+ * Gene 执行器。
+ *
+ * 将选中 Gene 的 strategy 步骤和触发信号组装成任务描述，
+ * 通过 OpenClaw 子 agent 实际执行变异。
+ */
+
+/** @constant {number} 子 agent 默认超时（秒） */
+const DEFAULT_TIMEOUT_SEC = 600;
+
+/**
+ * 组装派发给子 agent 的任务描述。
+ *
+ * @param {Object} gene - 选中的 Gene
+ * @param {Object} mutation - 变异提案
+ * @param {Array<string|Object>} signals - 触发信号（信号名或结构化信号）
+ * @returns {string} 任务描述
+ */
+function buildExecutionPrompt(gene, mutation, signals) {
+  const constraints = gene.constraints || {};
+  const lines = [
+    `## ccEvo 变异任务：${gene.id} (${gene.category})`,
+    '',
+    `目标：${mutation.target}`,
+    `预期效果：${mutation.expected_effect}`,
+    '',
+    '触发信号：',
+    ...signals.map(s => `- ${describeSignal(s)}`),
+  ];
+
+  // 功能请求信号携带用户原话，作为创新的具体目标
+  const requests = signals.flatMap(s => (typeof s === 'object' && s.requests) || []);
+  if (requests.length > 0) {
+    lines.push('', '功能请求（用户原话）：', ...[...new Set(requests.map(r => r.request))].map(r => `- ${r}`));
+  }
+
+  if (gene.preconditions && gene.preconditions.length > 0) {
+    lines.push('', '前置条件：', ...gene.preconditions.map(p => `- ${p}`));
+  }
+
+  lines.push('', '执行步骤：', ...gene.strategy.map((step, i) => `${i + 1}. ${step}`));
+
+  lines.push(
+    '',
+    '约束：',
+    `- 最多修改 ${constraints.max_files ?? 12} 个文件`,
+    `- 禁止修改：${(constraints.forbidden_paths || []).join(', ') || '无'}`,
+    '- 不要提交 git commit，变更由 ccEvo 固化流程验证后处理',
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * 通过子 agent 执行 Gene。
+ *
+ * @param {Object} params - 执行参数
+ * @param {Object} params.gene - 选中的 Gene
+ * @param {Object} params.mutation - 变异提案
+ * @param {Array<string|Object>} params.signals - 触发信号（信号名或结构化信号）
+ * @param {string} [params.agentId] - 执行任务的 agent ID
+ * @param {string} [params.thinking] - 思考级别
+ * @param {number} [params.timeoutSec] - 超时秒数
+ * @param {string} [params.cwd] - 子 agent 的工作目录
+ * @param {Function} [params.spawn] - 派发函数（默认 bridge.sessionsSpawnAsync）
+ * @returns {Promise<{ success: boolean, output: string, error: string|null, duration_ms: number }>}
+ */
+async function executeGene(params) {
+  const spawn = params.spawn || sessionsSpawnAsync;
+  const message = buildExecutionPrompt(params.gene, params.mutation, params.signals || []);
+  const startedAt = Date.now();
+
+  let result;
+  try {
+    result = await spawn({
+      message,
+      agentId: params.agentId || undefined,
+      thinking: params.thinking || undefined,
+      timeoutSec: params.timeoutSec || DEFAULT_TIMEOUT_SEC,
+      cwd: params.cwd,
+    });
+  } catch (err) {
+    result = { success: false, output: '', error: err.message };
+  }
+
+  return {
+    success: !!result.success,
+    output: result.output || '',
+    error: result.error || null,
+    duration_ms: Date.now() - startedAt,
+  };
+}
+
+module.exports = { buildExecutionPrompt, executeGene, DEFAULT_TIMEOUT_SEC };
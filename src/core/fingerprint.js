@@ -0,0 +1,289 @@
+'use strict';
+
+const crypto = require('node:crypto');
+
+/**
+ * 错误指纹与聚类。
+ *
+ * 把错误文本中的易变片段（时间戳、UUID、路径、请求 ID、数字等）替换为占位符，
+ * 再按词集相似度把相近的消息归入同一簇。簇 ID 由首条消息的关键词生成，
+ * 簇表持久化在 state.json 的 error_clusters 中，因此同一类错误在多轮之间
+ * 得到稳定的 errsig:<cluster> 信号名。
+ */
+
+/** @constant {number} 归入已有簇所需的最低词集相似度（Jaccard） */
+const SIMILARITY_THRESHOLD = 0.75;
+
+/** @constant {number} 簇表最多保留的簇数，超出时淘汰最久未出现的簇 */
+const MAX_CLUSTERS = 200;
+
+/** @constant {number} 每个簇保留的最近出现时间条数 */
+const RECENT_LIMIT = 10;
+
+/** @constant {number} 近期出现次数的统计窗口（毫秒），以簇的最近出现时间为终点 */
+const RECENT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/** @constant {number} 簇 ID 最多取前几个关键词 */
+const SLUG_TOKENS = 5;
+
+/** @constant {number} 簇 ID 关键词部分的最大长度 */
+const SLUG_MAX_LENGTH = 48;
+
+/** @constant {number} 示例消息与规范化文本的最大长度 */
+const TEXT_MAX_LENGTH = 200;
+
+/** 易变片段替换规则（按顺序应用） */
+const VOLATILE_PATTERNS = [
+  [/\bhttps?:\/\/[^\s"'<>]+/gi, '<url>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?\b/g, '<time>'],
+  [/\b\d{1,2}:\d{2}:\d{2}(?:\.\d+)?\b/g, '<time>'],
+  [/\b((?:request|trace|correlation|session)[_ -]?id["']?\s*[:=]\s*["']?)[\w.-]+/gi, '$1<id>'],
+  [/\b(?:req|msg|call|toolu|chatcmpl|run|trace|span)_[A-Za-z0-9_-]{6,}/g, '<id>'],
+  [/(?:~|\.{1,2})?(?:\/[\w.@+-]+){2,}\/?/g, '<path>'],
+  [/\b[A-Za-z]:\\(?:[^\s\\"']+\\)*[^\s\\"']*/g, '<path>'],
+  [/\b\d{1,3}(?:\.\d{1,3}){3}(?::\d+)?\b/g, '<ip>'],
+  [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+  [/\b(?=[0-9a-f]*\d)[0-9a-f]{8,}\b/gi, '<hex>'],
+  [/\b(?=\w*\d)(?=\w*[a-z])\w{16,}\b/gi, '<id>'],
+];
+
+/** 数字前出现这些词（或位于开头）时视为状态码，保留原值（如 "status 429"） */
+const STATUS_CONTEXT = /(?:^|status|http|code|error)\W{0,3}$/i;
+
+/**
+ * @typedef {Object} ErrorCluster
+ * @property {string} id - 簇 ID（errsig: 之后的部分）
+ * @property {string} exemplar - 首条消息（去掉 JSON 包装并截断），便于人工阅读
+ * @property {string} normalized - 首条消息的规范化文本，用于相似度比较
+ * @property {number} count - 累计出现次数
+ * @property {string|null} first_seen - 最早出现时间
+ * @property {string|null} last_seen - 最近出现时间
+ * @property {string[]} recent - 最近 RECENT_LIMIT 次出现的时间（升序）
+ */
+
+/**
+ * 去掉 API 错误的 JSON 包装，保留前缀（如 "400 "）和 error.type / message。
+ *
+ * @param {string} text - 错误文本
+ * @returns {string}
+ */
+function unwrapError(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return text;
+  let body;
+  try {
+    body = JSON.parse(text.slice(start));
+  } catch {
+    return text;
+  }
+  if (!body || typeof body !== 'object') return text;
+  const err = typeof body.error === 'object' && body.error ? body.error : body;
+  const message = typeof err.message === 'string' ? err.message : (typeof body.error === 'string' ? body.error : null);
+  if (!message) return text;
+  return [text.slice(0, start).trim(), err.type, message].filter(Boolean).join(' ');
+}
+
+/**
+ * 规范化错误文本：去掉 JSON 包装，替换易变片段，折叠空白。
+ *
+ * @param {string} text - 错误文本
+ * @returns {string} 规范化文本
+ */
+function normalizeError(text) {
+  let out = unwrapError(String(text ?? ''));
+  for (const [pattern, placeholder] of VOLATILE_PATTERNS) {
+    out = out.replace(pattern, placeholder);
+  }
+  out = out.replace(/\b\d+(?:\.\d+)?\b/g, (num, offset, str) => {
+    return /^[1-5]\d\d$/.test(num) && STATUS_CONTEXT.test(str.slice(0, offset).slice(-12)) ? num : '<n>';
+  });
+  return out.replace(/\s+/g, ' ').trim().slice(0, TEXT_MAX_LENGTH);
+}
+
+/**
+ * 拆分规范化文本为词（小写，不含占位符）。
+ *
+ * @param {string} normalized - 规范化文本
+ * @returns {string[]}
+ */
+function errorTokens(normalized) {
+  return normalized
+    .toLowerCase()
+    .replace(/<\w+>/g, ' ')
+    .split(/[^a-z0-9\u4e00-\u9fff]+/)
+    .filter(t => t.length >= 2);
+}
+
+/**
+ * 两组词的 Jaccard 相似度。
+ *
+ * @param {string[]} a - 词列表
+ * @param {string[]} b - 词列表
+ * @returns {number} 0-1
+ */
+function similarity(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (setA.size === 0 && setB.size === 0) return 1;
+  let shared = 0;
+  for (const t of setA) if (setB.has(t)) shared++;
+  return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * 两组词中的状态码（三位数字）是否一致；状态码不同的错误不归为一簇。
+ *
+ * @param {string[]} a - 词列表
+ * @param {string[]} b - 词列表
+ * @returns {boolean}
+ */
+function sameCodes(a, b) {
+  const codes = (tokens) => tokens.filter(t => /^\d{3}$/.test(t)).sort().join(',');
+  return codes(a) === codes(b);
+}
+
+/**
+ * 由规范化文本生成可读的簇 ID（前几个关键词，不含占位符；状态码总会保留）。
+ *
+ * @param {string} normalized - 规范化文本
+ * @returns {string}
+ */
+function clusterSlug(normalized) {
+  const all = normalized
+    .replace(/<\w+>/g, ' ')
+    .split(/[^a-zA-Z0-9\u4e00-\u9fff]+/)
+    .filter(w => w.length >= 2);
+  const code = all.find(w => /^\d{3}$/.test(w));
+  const slug = all.slice(0, SLUG_TOKENS).join('_').slice(0, SLUG_MAX_LENGTH).replace(/_+$/, '');
+  if (code && !slug.split('_').includes(code)) return `${slug}_${code}`;
+  return slug || 'unknown';
+}
+
+/**
+ * 创建错误聚类器。
+ *
+ * 以已有簇表为起点逐条归类错误消息：规范化文本完全相同或相似度达到阈值的
+ * 归入已有簇，否则新建簇。关键词相同但内容不相似的簇在 ID 后附加短哈希区分。
+ *
+ * @param {Object<string, ErrorCluster>} [known] - 已持久化的簇表（按 ID 索引）
+ * @param {Object} [options] - 选项
+ * @param {number} [options.threshold=0.75] - 相似度阈值
+ * @param {number} [options.maxClusters=200] - 簇表上限
+ * @returns {{ assign: (message: string, timestamp?: string|null) => ErrorCluster, clusters: () => Object<string, ErrorCluster> }}
+ */
+function createErrorClusterer(known = {}, options = {}) {
+  const threshold = options.threshold ?? SIMILARITY_THRESHOLD;
+  const maxClusters = options.maxClusters || MAX_CLUSTERS;
+  const clusters = new Map(Object.entries(known || {}).map(([id, c]) => [id, { ...c, id }]));
+  const tokenCache = new Map();
+  const tokensOf = (c) => {
+    if (!tokenCache.has(c.id)) tokenCache.set(c.id, errorTokens(c.normalized));
+    return tokenCache.get(c.id);
+  };
+
+  /**
+   * 查找与规范化文本匹配的簇。
+   *
+   * @param {string} normalized - 规范化文本
+   * @returns {ErrorCluster|null}
+   */
+  function match(normalized) {
+    const tokens = errorTokens(normalized);
+    let best = null;
+    let bestScore = threshold;
+    for (const c of clusters.values()) {
+      if (c.normalized === normalized) return c;
+      const other = tokensOf(c);
+      const score = similarity(tokens, other);
+      if (score >= bestScore && sameCodes(tokens, other)) {
+        best = c;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 归类一条错误消息，更新所属簇的计数与时间。
+   *
+   * @param {string} message - 错误消息原文
+   * @param {string|null} [timestamp] - 出现时间
+   * @returns {ErrorCluster}
+   */
+  function assign(message, timestamp = null) {
+    const normalized = normalizeError(message);
+    let cluster = match(normalized);
+    if (!cluster) {
+      let id = clusterSlug(normalized);
+      if (clusters.has(id)) {
+        id = `${id}_${crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 6)}`;
+      }
+      cluster = {
+        id,
+        exemplar: unwrapError(String(message)).replace(/\s+/g, ' ').trim().slice(0, TEXT_MAX_LENGTH),
+        normalized,
+        count: 0,
+        first_seen: null,
+        last_seen: null,
+        recent: [],
+      };
+      clusters.set(id, cluster);
+    }
+    cluster.count++;
+    if (timestamp) {
+      if (!cluster.first_seen || timestamp < cluster.first_seen) cluster.first_seen = timestamp;
+      if (!cluster.last_seen || timestamp > cluster.last_seen) cluster.last_seen = timestamp;
+      // 同一时间戳只记一次：重新扫描同一批条目不会抬高近期次数
+      const recent = Array.isArray(cluster.recent) ? cluster.recent : [];
+      if (!recent.includes(timestamp)) {
+        cluster.recent = [...recent, timestamp].sort().slice(-RECENT_LIMIT);
+      }
+    }
+    return cluster;
+  }
+
+  /**
+   * 导出簇表（用于持久化），超出上限时淘汰最久未出现的簇。
+   *
+   * @returns {Object<string, ErrorCluster>}
+   */
+  function exportClusters() {
+    const list = [...clusters.values()];
+    const kept = list.length > maxClusters
+      ? list.sort((a, b) => (b.last_seen || '').localeCompare(a.last_seen || '')).slice(0, maxClusters)
+      : list;
+    const out = {};
+    for (const { id, ...rest } of kept) out[id] = rest;
+    return out;
+  }
+
+  return { assign, clusters: exportClusters };
+}
+
+/**
+ * 簇在最近窗口内的出现次数（以簇的最近出现时间为终点，最多 RECENT_LIMIT 次）。
+ *
+ * @param {ErrorCluster} cluster - 错误簇
+ * @param {number} [windowMs] - 统计窗口（毫秒）
+ * @returns {number}
+ */
+function recentOccurrences(cluster, windowMs = RECENT_WINDOW_MS) {
+  const recent = Array.isArray(cluster.recent) ? cluster.recent : [];
+  const end = Date.parse(cluster.last_seen);
+  if (Number.isNaN(end)) return 0;
+  return recent.filter(ts => end - Date.parse(ts) <= windowMs).length;
+}
+
+module.exports = {
+  SIMILARITY_THRESHOLD,
+  MAX_CLUSTERS,
+  RECENT_LIMIT,
+  RECENT_WINDOW_MS,
+  normalizeError,
+  errorTokens,
+  similarity,
+  clusterSlug,
+  createErrorClusterer,
+  recentOccurrences,
+};
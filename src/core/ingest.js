@@ -0,0 +1,169 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { readJSONLStream } = require('../jsonl');
+
+/**
+ * Session log 增量读取。
+ *
+ * 为每个 JSONL 文件维护一个读取游标（文件路径、inode、字节偏移、最后条目时间），
+ * 每轮只解析上次之后追加的完整行，避免旧错误反复产生相同信号。
+ *
+ * - inode 变化 → 文件被轮转，从头读取
+ * - 文件变小 → 文件被截断，从头读取
+ * - 从头读取时跳过时间戳不晚于 last_timestamp 的条目（如 copytruncate 后重写的旧内容）
+ * - 末尾没有换行的半行留到下一轮
+ */
+
+/**
+ * @typedef {Object} IngestCursor
+ * @property {string} file - 文件完整路径
+ * @property {number} inode - 文件 inode
+ * @property {number} offset - 已处理到的字节偏移（总在行边界上）
+ * @property {number} lines - offset 之前的行数，用于给证据标注行号
+ * @property {string|null} last_timestamp - 已处理条目中最晚的时间戳
+ * @property {string} updated_at - 游标更新时间
+ */
+
+/**
+ * 列出目录下的 .jsonl 文件（完整路径，按文件名排序）。
+ *
+ * @param {string} dir - 目录
+ * @returns {string[]}
+ */
+function listJSONLFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith('.jsonl'))
+    .sort()
+    .map((f) => path.join(dir, f));
+}
+
+/**
+ * 读取条目的时间戳（毫秒），没有或无法解析时返回 null。
+ *
+ * @param {Object} entry - session log 条目
+ * @returns {number|null}
+ */
+function entryTime(entry) {
+  const raw = entry.timestamp ?? (entry.message && entry.message.timestamp);
+  if (raw === undefined || raw === null) return null;
+  const ms = typeof raw === 'number' ? raw : Date.parse(raw);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * 解析 --since 参数：ISO 时间或相对时长（30m / 12h / 7d）。
+ *
+ * @param {string} value - 参数值
+ * @param {number} [now] - 当前时间戳（毫秒）
+ * @returns {number} 起始时间戳（毫秒）
+ * @throws {Error} 无法解析时
+ */
+function parseSince(value, now = Date.now()) {
+  const rel = /^(\d+)([mhd])$/.exec(String(value));
+  if (rel) {
+    const unit = { m: 60000, h: 3600000, d: 86400000 }[rel[2]];
+    return now - parseInt(rel[1], 10) * unit;
+  }
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid --since value "${value}". Use an ISO timestamp or a duration like 12h / 7d`);
+  }
+  return ms;
+}
+
+/**
+ * 增量读取一组 session 文件。
+ *
+ * 条目逐条交给 onEntry（附带文件与行号），不在内存中累积；损坏或超长的行记录在 errors 中。
+ *
+ * @param {string[]} files - 文件完整路径
+ * @param {Object<string, IngestCursor>} cursors - 已有游标（按文件路径索引）
+ * @param {Object} [options] - 选项
+ * @param {Function} options.onEntry - 条目回调 (entry, { file, line }) => void
+ * @param {number} [options.since] - 忽略游标，从头读取并只保留此时间（毫秒）之后的条目
+ * @param {boolean} [options.fullRescan=false] - 忽略游标，从头读取全部条目
+ * @param {number} [options.maxLineBytes] - 单行最大字节数
+ * @returns {Promise<{ count: number, cursors: Object<string, IngestCursor>, resets: Array<{ file: string, reason: string }>, errors: Array<{ file: string, line: number, offset: number, reason: string, error: string }> }>}
+ */
+async function ingestFiles(files, cursors = {}, options = {}) {
+  const ignoreCursors = options.fullRescan || options.since !== undefined;
+  const next = {};
+  const resets = [];
+  const errors = [];
+  let count = 0;
+
+  // 保留仍存在文件的游标（如其他 agent 的 sessions）
+  for (const [file, cursor] of Object.entries(cursors)) {
+    if (fs.existsSync(file)) next[file] = cursor;
+  }
+
+  for (const file of files) {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      continue;
+    }
+
+    const cursor = ignoreCursors ? null : cursors[file];
+    let offset = 0;
+    let lines = 0;
+    let skipUntil = null;
+    if (cursor) {
+      if (cursor.inode !== stat.ino) {
+        resets.push({ file, reason: 'rotated' });
+        skipUntil = cursor.last_timestamp ? Date.parse(cursor.last_timestamp) : null;
+      } else if (stat.size < cursor.offset) {
+        resets.push({ file, reason: 'truncated' });
+        skipUntil = cursor.last_timestamp ? Date.parse(cursor.last_timestamp) : null;
+      } else {
+        offset = cursor.offset;
+        lines = cursor.lines || 0;
+      }
+    }
+    if (options.since !== undefined) skipUntil = options.since - 1;
+
+    let lastTimestamp = cursor ? cursor.last_timestamp : null;
+    if (stat.size > offset) {
+      // 只处理完整行，末尾半行留到下一轮；损坏的行同样推进偏移，不会重复报告
+      const stream = readJSONLStream(file, {
+        start: offset,
+        startLine: lines,
+        maxLineBytes: options.maxLineBytes,
+        onError: (err) => {
+          errors.push({ file, ...err });
+          offset = Math.max(offset, err.end);
+          lines = Math.max(lines, err.line);
+        },
+      });
+      for await (const { entry, line, end } of stream) {
+        offset = end;
+        lines = line;
+        const time = entryTime(entry);
+        if (time !== null) {
+          if (skipUntil !== null && time <= skipUntil) continue;
+          if (!lastTimestamp || time > Date.parse(lastTimestamp)) lastTimestamp = new Date(time).toISOString();
+        }
+        count++;
+        options.onEntry(entry, { file, line });
+      }
+    }
+
+    next[file] = {
+      file,
+      inode: stat.ino,
+      offset,
+      lines,
+      last_timestamp: lastTimestamp,
+      updated_at: new Date().toISOString(),
+    };
+  }
+
+  return { count, cursors: next, resets, errors };
+}
+
+module.exports = { listJSONLFiles, entryTime, parseSince, ingestFiles };
@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * 功能请求意图识别。
+ *
+ * 按句匹配中英文的请求句式（want / need / could you / 希望 / 能不能 / 帮我加 等），
+ * 只有请求标记与动作词（add / support / 加 / 支持 等）同时出现才算功能请求，
+ * 避免对 "add 2 and 3"、"我想知道……" 这类普通用法误报。
+ * want / need to / 想 / 要 这类泛用标记更严：只接受添加 / 支持类动词，
+ * 其他动词（make / build / get 等）后面必须跟功能名词，
+ * 避免 "I need to make sure the tests pass"、"我要加班" 这类日常表达。
+ * 中文不依赖 \b 词边界，句中任意位置都能匹配。
+ */
+
+/** @constant {number} 请求原文的最大长度 */
+const MAX_REQUEST_LENGTH = 200;
+
+/** 英文动作词 */
+const EN_ACTIONS = '(?:add|implement|support|create|build|make|allow|enable|introduce|provide|integrate|include)';
+
+/** "I want to ..." 句式直接接受的动作词（本身就意味着新增能力） */
+const EN_WANT_ACTIONS = '(?:add|implement|support|allow|enable|introduce|provide|integrate|be able to)';
+
+/** "I want to ..." 句式中后面必须跟功能名词的泛用动词 */
+const EN_WANT_GENERIC_ACTIONS = '(?:create|build|make|have|get|include)';
+
+/** 英文功能名词 */
+const EN_OBJECTS = '(?:feature|option|setting|command|button|shortcut|way|mode|tool|integration|support|ability|flag|endpoint)';
+
+/** 中文动作词 */
+const ZH_ACTIONS = '(?:加(?![班油薪])|添加|增加|新增|加入|支持|实现|提供|做个|做一个|开发|集成)';
+
+/** 中文功能名词 */
+const ZH_OBJECTS = '(?:功能|选项|设置|命令|按钮|快捷键|模式|工具|接口|能力|插件|开关)';
+
+/**
+ * 请求句式（按顺序匹配，命中第一个即止）。
+ *
+ * @type {Array<{ language: 'en'|'zh', marker: string, pattern: RegExp }>}
+ */
+const INTENT_PATTERNS = [
+  { language: 'en', marker: 'could_you', pattern: new RegExp(`\\b(?:could|can|would|will)\\s+you\\s+(?:please\\s+)?${EN_ACTIONS}\\b`, 'i') },
+  { language: 'en', marker: 'please', pattern: new RegExp(`\\bplease\\s+${EN_ACTIONS}\\b`, 'i') },
+  { language: 'en', marker: 'want', pattern: new RegExp(`\\b(?:i|we)\\s+(?:really\\s+)?(?:want|need|would like|'d like|wish)\\s+(?:you\\s+)?(?:to\\s+)?${EN_WANT_ACTIONS}\\b`, 'i') },
+  { language: 'en', marker: 'want', pattern: new RegExp(`\\b(?:i|we)\\s+(?:really\\s+)?(?:want|need|would like|'d like|wish)\\s+(?:you\\s+)?(?:to\\s+)?${EN_WANT_GENERIC_ACTIONS}\\s+(?:an?|the|some)\\s+(?:new\\s+)?(?:\\w+\\s+){0,2}${EN_OBJECTS}s?\\b`, 'i') },
+  { language: 'en', marker: 'want', pattern: new RegExp(`\\b(?:i|we)\\s+(?:really\\s+)?(?:want|need|would like|'d like)\\s+(?:an?|the|some)\\s+(?:new\\s+)?(?:\\w+\\s+)?${EN_OBJECTS}s?\\b`, 'i') },
+  { language: 'en', marker: 'would_be_nice', pattern: /\bit\s+would\s+be\s+(?:nice|great|good|helpful|useful|cool)\s+(?:if|to)\b/i },
+  { language: 'en', marker: 'is_it_possible', pattern: new RegExp(`\\bis\\s+(?:it|there\\s+a\\s+way)\\s+(?:possible\\s+)?to\\s+${EN_ACTIONS}\\b`, 'i') },
+  { language: 'en', marker: 'feature_request', pattern: /\bfeature\s+request\b/i },
+  { language: 'zh', marker: '希望', pattern: new RegExp(`希望.{0,8}?(?:${ZH_ACTIONS}|${ZH_OBJECTS})`) },
+  { language: 'zh', marker: '能不能', pattern: new RegExp(`(?:能不能|能否|可不可以|可否|可以不可以).{0,10}?(?:${ZH_ACTIONS}|${ZH_OBJECTS})`) },
+  { language: 'zh', marker: '帮我加', pattern: new RegExp(`(?:帮我|给我|请你?|麻烦你?)(?:帮我)?${ZH_ACTIONS}`) },
+  { language: 'zh', marker: '想要', pattern: new RegExp(`(?:我|我们)(?:很)?(?:想|想要|需要|要)(?:${ZH_ACTIONS}|(?:有)?(?:一个|个)[^，。！？,]{0,6}?${ZH_OBJECTS})`) },
+  { language: 'zh', marker: '就好了', pattern: /(?:要是|如果)能.{1,30}?就好了/ },
+  { language: 'zh', marker: '功能需求', pattern: new RegExp(`功能(?:请求|需求|建议)|(?:新增|增加|添加)(?:一个|个)?.{0,10}?${ZH_OBJECTS}`) },
+];
+
+/**
+ * 把文本切分为句子（中英文句末标点与换行）。
+ * 英文句点只在后面跟空白时断句，"a.txt"、"v1.2" 不会被切开。
+ *
+ * @param {string} text - 文本
+ * @returns {string[]}
+ */
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[!?。！？；;])\s*|(?<=\.)\s+|\n+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 识别文本中的功能请求。
+ *
+ * @param {string} text - 用户消息文本
+ * @returns {{ request: string, language: 'en'|'zh', marker: string }|null}
+ *   request 为命中请求句式的句子原文（截断），未命中时返回 null
+ */
+function detectFeatureRequest(text) {
+  for (const sentence of splitSentences(text)) {
+    for (const { language, marker, pattern } of INTENT_PATTERNS) {
+      if (pattern.test(sentence)) {
+        const request = sentence.length > MAX_REQUEST_LENGTH ? `${sentence.slice(0, MAX_REQUEST_LENGTH - 3)}...` : sentence;
+        return { request, language, marker };
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = { MAX_REQUEST_LENGTH, INTENT_PATTERNS, splitSentences, detectFeatureRequest };
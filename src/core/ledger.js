@@ -0,0 +1,153 @@
+'use strict';
+
+const { createSignal } = require('./signals');
+const { BACKLOG_SIGNAL } = require('./backlog');
+
+/**
+ * 信号确认账本。
+ *
+ * 固化成功后，把触发本轮 Gene 的信号记入账本（信号名 → 处理它的 Capsule），
+ * 持久化在 state.json 的 signal_ledger 中。抑制窗口内：
+ * - 证据都早于处理时间的信号（旧条目、重新扫描）被抑制，不再触发同一个 Gene；
+ * - 处理之后又出现的信号保留原信号，并额外产生高严重度的 regression:<signal>。
+ * 窗口过后账本条目失效，信号按新问题对待。
+ * 多 agent 运行时账本按 agent 分开记录（键为 "<agent>/<signal>"）。
+ */
+
+/** @constant {number} 抑制窗口（小时） */
+const SUPPRESSION_WINDOW_HOURS = 48;
+
+/** @constant {number} 账本最多保留的条目数，超出时淘汰最早处理的条目 */
+const LEDGER_LIMIT = 200;
+
+/** @constant {string} 回归信号前缀 */
+const REGRESSION_PREFIX = 'regression:';
+
+/** 不记入账本的信号：功能请求由 core/backlog 按请求逐条跟踪 */
+const UNTRACKED_SIGNALS = [BACKLOG_SIGNAL];
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {string} capsule_id - 处理该信号的 Capsule
+ * @property {string} gene_id - 所用 Gene
+ * @property {string} handled_at - 处理时间（ISO）
+ * @property {string|null} regressed_at - 最近一次回归被发现的时间
+ */
+
+/**
+ * 去掉 regression: 前缀，得到原信号名。
+ *
+ * @param {string} name - 信号名
+ * @returns {string}
+ */
+function baseSignal(name) {
+  return name.startsWith(REGRESSION_PREFIX) ? name.slice(REGRESSION_PREFIX.length) : name;
+}
+
+/**
+ * 信号是否按"已处理 / 再次出现"跟踪（功能请求除外）。
+ *
+ * @param {string} name - 信号名（可带 regression: 前缀）
+ * @returns {boolean}
+ */
+function isTrackedSignal(name) {
+  return !UNTRACKED_SIGNALS.includes(baseSignal(name));
+}
+
+/**
+ * 账本键：单 agent 时为信号名，指定 agent 时为 "<agent>/<signal>"。
+ *
+ * @param {string} signal - 信号名
+ * @param {string|null} [agent] - agent 名称
+ * @returns {string}
+ */
+function ledgerKey(signal, agent) {
+  return agent ? `${agent}/${signal}` : signal;
+}
+
+/**
+ * 记录一批信号已被某个 Capsule 处理。regression:<signal> 记在原信号名下。
+ *
+ * @param {Object<string, LedgerEntry>} ledger - 已有账本
+ * @param {string[]} signals - 已处理的信号名
+ * @param {{ capsule_id: string, gene_id: string, handled_at?: string, agent?: string|null }} handledBy - 处理信息
+ * @returns {Object<string, LedgerEntry>} 新账本
+ */
+function acknowledgeSignals(ledger, signals, handledBy) {
+  const out = { ...(ledger || {}) };
+  const handledAt = handledBy.handled_at || new Date().toISOString();
+  for (const name of new Set((signals || []).map(baseSignal))) {
+    if (!isTrackedSignal(name)) continue;
+    out[ledgerKey(name, handledBy.agent)] = {
+      capsule_id: handledBy.capsule_id, gene_id: handledBy.gene_id, handled_at: handledAt, regressed_at: null,
+    };
+  }
+  const names = Object.keys(out);
+  if (names.length <= LEDGER_LIMIT) return out;
+  const kept = names.sort((a, b) => out[b].handled_at.localeCompare(out[a].handled_at)).slice(0, LEDGER_LIMIT);
+  return Object.fromEntries(kept.map(name => [name, out[name]]));
+}
+
+/**
+ * 按账本过滤本轮信号。
+ *
+ * @param {Object[]} signals - 本轮结构化信号
+ * @param {Object<string, LedgerEntry>} ledger - 账本
+ * @param {Object} [options] - 选项
+ * @param {number} [options.now] - 当前时间（毫秒，默认 Date.now()）
+ * @param {number} [options.windowHours=48] - 抑制窗口（小时）
+ * @param {string|null} [options.agent] - 信号所属 agent
+ * @returns {{ signals: Object[], suppressed: Array<{ signal: string, capsule_id: string }>, regressions: Array<{ signal: string, capsule_id: string }>, ledger: Object<string, LedgerEntry> }}
+ *   过滤后的信号（含新增的 regression 信号）、被抑制与回归的信号，以及去掉过期条目、更新回归时间后的账本
+ */
+function applyLedger(signals, ledger, options = {}) {
+  const now = options.now ?? Date.now();
+  const windowMs = (options.windowHours ?? SUPPRESSION_WINDOW_HOURS) * 3600 * 1000;
+  const active = {};
+  for (const [key, entry] of Object.entries(ledger || {})) {
+    if (now - Date.parse(entry.handled_at) < windowMs) active[key] = { ...entry };
+  }
+
+  const out = [];
+  const suppressed = [];
+  const regressions = [];
+  for (const sig of signals || []) {
+    const entry = active[ledgerKey(sig.name, options.agent)];
+    if (!entry) {
+      out.push(sig);
+      continue;
+    }
+    if (!sig.last_seen || sig.last_seen <= entry.handled_at) {
+      suppressed.push({ signal: sig.name, capsule_id: entry.capsule_id });
+      continue;
+    }
+    // 处理之后再次出现：保留原信号，附加回归信号（只带处理之后的证据）
+    out.push(sig);
+    const after = sig.evidence.filter(e => !e.timestamp || e.timestamp > entry.handled_at);
+    // 证据完整时只计处理之后的次数；证据被截断时无法区分，沿用原信号的次数
+    const regression = createSignal(`${REGRESSION_PREFIX}${sig.name}`, {
+      count: sig.count > sig.evidence.length ? sig.count : after.length,
+      first_seen: after.map(e => e.timestamp).filter(Boolean).sort()[0] || sig.last_seen,
+      last_seen: sig.last_seen,
+      evidence: after,
+      severity: 'high',
+    });
+    regression.handled_by = { capsule_id: entry.capsule_id, gene_id: entry.gene_id, handled_at: entry.handled_at };
+    out.push(regression);
+    entry.regressed_at = new Date(now).toISOString();
+    regressions.push({ signal: sig.name, capsule_id: entry.capsule_id });
+  }
+
+  return { signals: out, suppressed, regressions, ledger: active };
+}
+
+module.exports = {
+  SUPPRESSION_WINDOW_HOURS,
+  LEDGER_LIMIT,
+  REGRESSION_PREFIX,
+  baseSignal,
+  isTrackedSignal,
+  ledgerKey,
+  acknowledgeSignals,
+  applyLedger,
+};
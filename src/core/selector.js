@@ -1,14 +1,48 @@
 'use strict';
 
-const { matchScore } = require('../gep/gene');
-const { loadGenes } = require('../gep/store');
+const { matchScore, explainMatch } = require('../gep/gene');
+const { loadSignalOntology } = require('../gep/ontology');
+const { REGRESSION_PREFIX } = require('./ledger');
+const { getPolicy, FITNESS_WEIGHT } = require('./bandit');
+const { activeCooldown } = require('./cooldown');
+const { loadGenes, loadGeneFitness, loadState } = require('../gep/store');
 
 /**
  * Gene 选择器。
  *
  * 根据当前信号集匹配最优 Gene，驱动进化循环的变异选择。
+ * 匹配分相近的候选之间，按选择策略（见 core/bandit）参考各 Gene 的历史表现；
+ * 冷却中的 Gene（见 core/cooldown）不参与选择，未尝试过的次优候选优先于已尝试过的最优候选。
  */
 
+/** @constant {number} 命中回归信号（regression:<signal>）的 Gene 的额外加分 */
+const REGRESSION_BONUS = 0.6;
+
+/** @constant {number} 实际效果调整的幅度：效果分 1 加 0.2，效果分 0 减 0.2 */
+const EFFECT_WEIGHT = 0.2;
+
+/** @constant {number} Gene 至少有几个得出结论的 Capsule 才按实际效果调整 */
+const EFFECT_MIN_SAMPLES = 2;
+
+/** @constant {number} 未尝试过的次优候选与最优候选的分差不超过此值时，优先选次优候选 */
+const DIVERSITY_MARGIN = 0.2;
+
+/**
+ * Gene 是否命中了回归信号（见 core/ledger）。
+ *
+ * @param {Object} gene - Gene
+ * @param {Array<string|Object>} signals - 当前信号集
+ * @param {Object} ontology - 信号本体
+ * @returns {boolean}
+ */
+function matchesRegression(gene, signals, ontology) {
+  return explainMatch(gene, signals, ontology).some((m) => {
+    if (!m.signal || m.weight === 0) return false;
+    const name = typeof m.signal === 'string' ? m.signal : m.signal.name;
+    return name.startsWith(REGRESSION_PREFIX);
+  });
+}
+
 /**
  * 返回按匹配度排序的 Gene 列表。
  *
@@ -21,10 +55,11 @@ function rankGenes(signals) {
   const genes = loadGenes();
   if (!Array.isArray(genes) || genes.length === 0) return [];
 
+  const ontology = loadSignalOntology();
   const ranked = genes
     .map((gene) => ({
       gene,
-      score: matchScore(gene, signals),
+      score: matchScore(gene, signals, ontology),
     }))
     .filter((item) => item.score > 0)
     .sort((a, b) => b.score - a.score);
@@ -33,44 +68,145 @@ function rankGenes(signals) {
 }
 
 /**
- * 根据当前信号选择最佳 Gene。
+ * 给当前信号下的候选 Gene 打分。
  *
- * 选择逻辑：
+ * 打分逻辑：
  * 1. 从 store 加载所有 genes
- * 2. 用 gene.matchScore 计算每个 gene 的匹配分
- * 3. 过滤掉低于 minScore 的
+ * 2. 用 gene.matchScore 按信号本体计算每个 gene 的匹配分（见 gep/ontology）
+ * 3. 过滤掉 excludeCategories 中的类别
  * 4. 如果有 preferCategory，给该类别的 gene 额外加 0.1 分
- * 5. 按分数降序排列，返回最高的
+ * 5. 命中回归信号的 gene 额外加 0.6 分（已处理的问题再次出现，优先于普通的完全匹配）
+ * 6. 按选择策略参考历史表现（不会因此低于 minScore）：
+ *    - greedy：有 2 个以上已评估 Capsule 的 gene 按实际效果调整 ±0.2 分
+ *    - ucb / thompson：按策略给出的适应度值（0-1）调整 ±0.3 分
+ * 7. 去掉低于 minScore 的，按分数降序排列
  *
- * @param {string[]} signals - 当前信号集
+ * @param {Array<string|Object>} signals - 当前信号集
  * @param {Object} [options] - 选项
  * @param {string} [options.preferCategory] - 偏好类别（repair | optimize | innovate）
  * @param {number} [options.minScore] - 最低匹配分数（默认 0.3）
- * @returns {Object|null} 选中的 Gene 或 null
+ * @param {string[]} [options.excludeCategories] - 排除的类别（如当前策略禁止的类别）
+ * @param {string} [options.policy] - 选择策略（greedy | ucb | thompson，默认 greedy）
+ * @param {Object<string, Object>} [options.fitness] - Gene 适应度（默认从 store 加载）
+ * @param {() => number} [options.random] - thompson 抽样用的随机数（默认 Math.random）
+ * @returns {Array<{ gene: Object, score: number, match: number, fitness: number|null }>}
+ *   按分数降序排列的候选；match 为匹配分，fitness 为策略给出的适应度值（greedy 下为实际效果分或 null）
+ * @throws {Error} 如果策略名称不存在
  */
-function selectGene(signals, options = {}) {
-  if (!Array.isArray(signals) || signals.length === 0) return null;
+function scoreCandidates(signals, options = {}) {
+  if (!Array.isArray(signals) || signals.length === 0) return [];
 
   const minScore = typeof options.minScore === 'number' ? options.minScore : 0.3;
   const { preferCategory } = options;
+  const excluded = new Set(options.excludeCategories || []);
+  const policy = getPolicy(options.policy);
 
   const genes = loadGenes();
-  if (!Array.isArray(genes) || genes.length === 0) return null;
+  if (!Array.isArray(genes) || genes.length === 0) return [];
+  const fitness = options.fitness || loadGeneFitness();
+  const ontology = loadSignalOntology();
 
-  const scored = genes
+  const candidates = genes
+    .filter((gene) => !excluded.has(gene.category))
     .map((gene) => {
-      let score = matchScore(gene, signals);
+      const match = matchScore(gene, signals, ontology);
+      let score = match;
       if (preferCategory && gene.category === preferCategory) {
         score += 0.1;
       }
-      return { gene, score };
+      if (score >= minScore && matchesRegression(gene, signals, ontology)) {
+        score += REGRESSION_BONUS;
+      }
+      return { gene, score, match };
+    })
+    .filter((item) => item.score >= minScore);
+
+  const context = {
+    totalAttempts: candidates.reduce((sum, c) => sum + (fitness[c.gene.id]?.attempts || 0), 0),
+    random: options.random || Math.random,
+  };
+
+  return candidates
+    .map((item) => {
+      const stats = fitness[item.gene.id];
+      let value = null;
+      if (policy.value) {
+        value = policy.value(stats, context);
+        item.score = Math.max(minScore, item.score + FITNESS_WEIGHT * (value * 2 - 1));
+      } else if (stats && stats.evaluated >= EFFECT_MIN_SAMPLES) {
+        value = stats.effectiveness;
+        item.score = Math.max(minScore, item.score + EFFECT_WEIGHT * (value * 2 - 1));
+      }
+      return { ...item, fitness: value };
     })
-    .filter((item) => item.score >= minScore)
     .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * 从打过分的候选中挑出本轮的 Gene。
+ *
+ * 1. 跳过冷却中的 Gene
+ * 2. 剩余候选中分数最高的 Gene 已尝试过、而分差不超过 DIVERSITY_MARGIN 的
+ *    次优候选从未尝试过时，选该次优候选（多样性）
+ *
+ * @param {Array<{ gene: Object, score: number }>} candidates - scoreCandidates 的结果
+ * @param {Object} [options] - 选项
+ * @param {Object<string, import('./cooldown').GeneCooldown>} [options.cooldowns] - 冷却状态
+ * @param {string|null} [options.agent] - 本轮的 agent（按 agent 查冷却）
+ * @param {Object<string, Object>} [options.fitness] - Gene 适应度（判断是否尝试过）
+ * @returns {{ candidate: Object|null, cooling: Array<{ gene_id: string, score: number, remaining: number, reason: string, failures: number }>, diversity: { preferred_over: string, top_score: number, margin: number }|null }}
+ *   选中的候选（全部冷却时为 null）、因冷却被跳过的候选，以及多样性规则生效时被跳过的最优候选
+ */
+function pickCandidate(candidates, options = {}) {
+  const fitness = options.fitness || {};
+  const cooling = [];
+  const available = candidates.filter((item) => {
+    const cooldown = activeCooldown(options.cooldowns, item.gene.id, options.agent);
+    if (!cooldown) return true;
+    cooling.push({
+      gene_id: item.gene.id,
+      score: item.score,
+      remaining: cooldown.remaining,
+      reason: cooldown.reason,
+      failures: cooldown.failures,
+    });
+    return false;
+  });
+  if (available.length === 0) return { candidate: null, cooling, diversity: null };
 
-  if (scored.length === 0) return null;
+  const [top] = available;
+  const tried = item => (fitness[item.gene.id]?.attempts || 0) > 0;
+  const untried = tried(top)
+    ? available.slice(1).find(item => !tried(item) && top.score - item.score <= DIVERSITY_MARGIN)
+    : null;
+  if (!untried) return { candidate: top, cooling, diversity: null };
+  return {
+    candidate: untried,
+    cooling,
+    diversity: { preferred_over: top.gene.id, top_score: top.score, margin: DIVERSITY_MARGIN },
+  };
+}
 
-  return scored[0].gene;
+/**
+ * 根据当前信号选择 Gene（scoreCandidates 打分，pickCandidate 挑选）。
+ *
+ * @param {Array<string|Object>} signals - 当前信号集
+ * @param {Object} [options] - 选项，同 scoreCandidates，另有：
+ * @param {Object<string, Object>} [options.cooldowns] - 冷却状态（默认从 store 加载）
+ * @param {string|null} [options.agent] - agent 名称（按 agent 查冷却）
+ * @returns {Object|null} 选中的 Gene 或 null
+ */
+function selectGene(signals, options = {}) {
+  const fitness = options.fitness || loadGeneFitness();
+  const candidates = scoreCandidates(signals, { ...options, fitness });
+  const { candidate } = pickCandidate(candidates, {
+    cooldowns: options.cooldowns || loadState('gene_cooldowns', {}),
+    agent: options.agent,
+    fitness,
+  });
+  return candidate ? candidate.gene : null;
 }
 
-module.exports = { selectGene, rankGenes };
+module.exports = {
+  selectGene, scoreCandidates, pickCandidate, rankGenes,
+};
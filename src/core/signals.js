@@ -2,6 +2,12 @@
 
 const fs = require('node:fs');
 const path = require('node:path');
+const { readJSONLStream } = require('../jsonl');
+const { entryTime } = require('./ingest');
+const { createErrorClusterer, recentOccurrences } = require('./fingerprint');
+const {
+  BUILTIN_DETECTORS, extractText, emitsSignal, consumesEntry,
+} = require('./detectors');
 
 /**
  * 信号提取器。
@@ -13,268 +19,336 @@ const path = require('node:path');
  *   message 条目: { type: "message", message: { role, content, stopReason, errorMessage, usage } }
  *
  * 信号类型：
- * - 错误信号：log_error, errsig:<detail>, recurring_error
+ * - 错误信号：log_error, errsig:<cluster>, recurring_error
+ *   （errsig 按错误指纹聚类，见 core/fingerprint）
  * - 机会信号：user_feature_request, capability_gap, stable_success_plateau
- * - 工具信号：high_tool_usage:<tool>, repeated_tool_usage:<tool>
+ * - 工具信号：high_tool_usage:<tool>, repeated_tool_usage:<tool>,
+ *   tool_failure:<tool>, tool_error_rate_high:<tool>, slow_tool:<tool>
+ * - 成本信号：high_token_turn, context_pressure, rapid_context_growth, cache_miss_rate_high, expensive_session
+ * - 模型信号：frequent_model_switching, escalated_thinking_level, model_error_rate_high:<model>
  * - 停滞信号：evolution_stagnation, repair_loop_detected, empty_cycle_loop
+ * - 回归信号：regression:<signal>（已处理的信号再次出现，见 core/ledger）
  * - 能力信号：capability_candidate:<name>, capability_underused:<id>
+ *
+ * 具体的检测规则由 core/detectors 中注册的检测器实现，本模块负责分发条目与汇总信号。
+ */
+
+/** @typedef {'info' | 'low' | 'medium' | 'high'} SignalSeverity */
+
+/**
+ * @typedef {Object} SignalEvidence
+ * @property {string|null} file - 产生信号的 session 文件
+ * @property {number|null} line - 文件内行号（1 起）
+ * @property {string|null} timestamp - 条目时间戳
  */
 
-/** @type {RegExp} 匹配 feature/ability/add/功能/能力/添加 关键词 */
-const FEATURE_KEYWORDS = /\b(feature|ability|add|功能|能力|添加)\b/i;
+/**
+ * @typedef {Object} Signal
+ * @property {string} name - 信号名（如 errsig:ETIMEDOUT_connect）
+ * @property {number} count - 触发次数
+ * @property {string|null} first_seen - 最早触发条目的时间戳
+ * @property {string|null} last_seen - 最晚触发条目的时间戳
+ * @property {SignalSeverity} severity - 严重度
+ * @property {SignalEvidence[]} evidence - 最近几条触发条目的引用
+ * @property {string} [exemplar] - errsig 信号：错误簇的示例消息
+ * @property {number} [total] - errsig 信号：错误簇的累计出现次数（含以往各轮）
+ * @property {Array<{ request: string, language: string, evidence: SignalEvidence }>} [requests]
+ *   user_feature_request 信号：识别到的请求原文（见 core/intent）
+ * @property {string[]} [backlog_ids] - user_feature_request 信号：关联的功能请求待办条目（见 core/backlog）
+ * @property {{ capsule_id: string, gene_id: string, handled_at: string }} [handled_by]
+ *   regression 信号：此前处理原信号的 Capsule（见 core/ledger）
+ */
+
+/** @constant {number} 每个信号保留的证据条数 */
+const MAX_EVIDENCE = 5;
+
+/** 信号严重度（按完整名或 "前缀:" 查找，默认 low） */
+const SIGNAL_SEVERITY = {
+  recurring_error: 'high',
+  evolution_stagnation: 'high',
+  repair_loop_detected: 'high',
+  log_error: 'medium',
+  'errsig:': 'medium',
+  'tool_error_rate_high:': 'high',
+  'tool_failure:': 'medium',
+  'slow_tool:': 'low',
+  expensive_session: 'medium',
+  context_pressure: 'medium',
+  rapid_context_growth: 'low',
+  high_token_turn: 'low',
+  cache_miss_rate_high: 'low',
+  'model_error_rate_high:': 'high',
+  frequent_model_switching: 'low',
+  escalated_thinking_level: 'info',
+  'repeated_tool_usage:': 'low',
+  'high_tool_usage:': 'low',
+  user_feature_request: 'low',
+  'capability_candidate:': 'low',
+  stable_success_plateau: 'info',
+  'regression:': 'high',
+};
 
 /**
- * 从 message 条目中提取文本内容。
+ * 查询信号的严重度。
  *
- * @param {Object} entry - session log 条目
- * @returns {string} 提取到的文本
+ * @param {string} name - 信号名
+ * @param {Object<string, SignalSeverity>} [table] - 严重度表（默认 SIGNAL_SEVERITY）
+ * @returns {SignalSeverity}
  */
-function extractText(entry) {
-  const msg = entry.message;
-  if (!msg) return '';
-  if (typeof msg.content === 'string') return msg.content;
-  if (Array.isArray(msg.content)) {
-    return msg.content
-      .filter(c => c.type === 'text' && c.text)
-      .map(c => c.text)
-      .join(' ');
-  }
-  return '';
+function severityOf(name, table = SIGNAL_SEVERITY) {
+  if (table[name]) return table[name];
+  const prefix = name.replace(/:.*$/, ':');
+  return table[prefix] || 'low';
 }
 
 /**
- * 从 session log 条目数组提取信号。
+ * 创建信号对象。
  *
- * 兼容两种格式：
- * 1. OpenClaw 原生格式 (type: "message", message: { role, content, stopReason, errorMessage })
- * 2. 简化格式 (level/type: "error", detail, tool_name, status 等)
- *
- * @param {Object[]} entries - session log 条目（JSONL 解析后）
- * @returns {string[]} 提取到的信号列表（去重）
+ * @param {string} name - 信号名
+ * @param {Object} [init] - 初始字段（count、first_seen、last_seen、severity、evidence）
+ * @returns {Signal}
  */
-function extractSignals(entries) {
-  if (!Array.isArray(entries) || entries.length === 0) return [];
-
-  const signals = new Set();
+function createSignal(name, init = {}) {
+  return {
+    name,
+    count: init.count ?? 0,
+    first_seen: init.first_seen || null,
+    last_seen: init.last_seen || null,
+    severity: init.severity || severityOf(name),
+    evidence: init.evidence || [],
+  };
+}
 
-  // --- 错误信号 ---
-  const errorDetailCounts = new Map();
-  for (const entry of entries) {
-    // OpenClaw 原生格式：message.stopReason === 'error' 或 message.errorMessage 存在
-    if (entry.type === 'message' && entry.message) {
-      const msg = entry.message;
-      if (msg.stopReason === 'error' || msg.errorMessage) {
-        signals.add('log_error');
-        // 提取错误详情
-        const detail = msg.errorMessage || msg.stopReason || '';
-        if (detail) {
-          // 从 errorMessage 中提取关键部分（去掉 JSON 包装）
-          const shortDetail = detail.length > 80 ? detail.slice(0, 80) : detail;
-          const normalized = shortDetail.replace(/[^a-zA-Z0-9_\u4e00-\u9fff]/g, '_').slice(0, 50);
-          signals.add(`errsig:${normalized}`);
-          errorDetailCounts.set(
-            normalized,
-            (errorDetailCounts.get(normalized) || 0) + 1,
-          );
-        }
-      }
-    }
+/**
+ * 把信号列表转换为信号名列表（兼容纯字符串）。
+ *
+ * @param {Array<Signal|string>} signals - 信号对象或信号名
+ * @returns {string[]}
+ */
+function signalNames(signals) {
+  return (signals || []).map(s => (typeof s === 'string' ? s : s.name));
+}
 
-    // 简化格式兼容
-    if (entry.level === 'error' || (entry.type === 'error' && !entry.message)) {
-      signals.add('log_error');
-      if (entry.detail) {
-        signals.add(`errsig:${entry.detail}`);
-        errorDetailCounts.set(
-          entry.detail,
-          (errorDetailCounts.get(entry.detail) || 0) + 1,
-        );
-      }
-    }
-  }
-  for (const [, count] of errorDetailCounts) {
-    if (count >= 3) {
-      signals.add('recurring_error');
-      break;
-    }
-  }
+/**
+ * 单行描述信号触发原因，如 "errsig:X ×3 [medium] a.jsonl:12"。
+ *
+ * @param {Signal|string} signal - 信号
+ * @returns {string}
+ */
+function describeSignal(signal) {
+  if (typeof signal === 'string') return signal;
+  const where = signal.evidence
+    .filter(e => e.file)
+    .map(e => `${path.basename(e.file)}${e.line ? `:${e.line}` : ''}`);
+  const parts = [`${signal.name} ×${signal.count}${signal.total > signal.count ? ` (${signal.total} total)` : ''} [${signal.severity}]`];
+  if (signal.last_seen) parts.push(`last ${signal.last_seen.slice(0, 19)}`);
+  if (where.length > 0) parts.push(where.join(', '));
+  if (signal.handled_by) parts.push(`regressed after ${signal.handled_by.capsule_id}`);
+  if (signal.exemplar) parts.push(`"${signal.exemplar.length > 60 ? `${signal.exemplar.slice(0, 57)}...` : signal.exemplar}"`);
+  return parts.join(' ');
+}
 
-  // --- 机会信号 ---
-  for (const entry of entries) {
-    // OpenClaw 格式：用户消息中包含功能请求关键词
-    if (entry.type === 'message' && entry.message?.role === 'user') {
-      const text = extractText(entry);
-      if (FEATURE_KEYWORDS.test(text)) {
-        signals.add('user_feature_request');
-      }
-    }
+/**
+ * 读取条目的时间戳（ISO 字符串），没有时返回 null。
+ *
+ * @param {Object} entry - session log 条目
+ * @returns {string|null}
+ */
+function entryTimestamp(entry) {
+  const ms = entryTime(entry);
+  return ms === null ? null : new Date(ms).toISOString();
+}
 
-    // 简化格式兼容
-    if (entry.type === 'user_request' && typeof entry.message === 'string') {
-      if (FEATURE_KEYWORDS.test(entry.message)) {
-        signals.add('user_feature_request');
-      }
-    }
-  }
+/**
+ * 创建信号收集器。
+ *
+ * 逐条接收 session log 条目（add），按条目类型分发给检测器，最后汇总出信号（finish）。
+ * 检测器只保留计数、最近窗口和少量证据，内存占用与条目数量无关，可直接接在流式读取之后。
+ *
+ * 单个检测器抛出异常或产出未声明的信号时，错误记录在 errors 中，不影响其他检测器。
+ * 检测器通过 ctx.metric() 上报的数值（如 token 用量）按名称累加，由 metrics() 返回。
+ *
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.clusterer] - 错误聚类器（createErrorClusterer()，传入已持久化的簇表以保持 errsig 稳定）
+ * @param {Object[]} [options.detectors] - 检测器列表（默认内置检测器，见 core/detectors）
+ * @returns {{ add: (entry: Object, ref?: { file: string, line: number }) => void, finish: () => Signal[], metrics: () => Object<string, number>, errors: Array<{ detector: string, error: string }> }}
+ */
+function createSignalCollector(options = {}) {
+  const clusterer = options.clusterer || createErrorClusterer();
+  const signals = new Map();   // 信号名 → Signal
+  const errors = [];
+  const metrics = {};          // 指标名 → 累计值
+  let current = null;          // 当前条目的证据
 
-  // stable_success_plateau：最近 10 条 assistant 消息全部无错误
-  const assistantMsgs = entries.filter(
-    e => e.type === 'message' && e.message?.role === 'assistant',
-  );
-  if (assistantMsgs.length >= 10) {
-    const recent10 = assistantMsgs.slice(-10);
-    const allSuccess = recent10.every(
-      e => e.message?.stopReason !== 'error' && !e.message?.errorMessage,
-    );
-    if (allSuccess) {
-      signals.add('stable_success_plateau');
+  /**
+   * 在 map 中为 name 记录一次由当前条目触发的命中。
+   *
+   * @param {Map<string, Signal>} map - 目标集合
+   * @param {string} name - 信号名
+   * @param {SignalSeverity} [severity] - 新建信号时使用的严重度
+   * @returns {Signal}
+   */
+  const record = (map, name, severity) => {
+    let sig = map.get(name);
+    if (!sig) {
+      sig = createSignal(name, { severity });
+      map.set(name, sig);
     }
-  }
-
-  // 简化格式兼容
-  if (entries.length >= 10) {
-    const recent10 = entries.slice(-10);
-    const allStatusSuccess = recent10.every(
-      e => e.status === 'success' || e.result === 'success',
-    );
-    if (allStatusSuccess && !signals.has('stable_success_plateau')) {
-      signals.add('stable_success_plateau');
+    sig.count++;
+    const ts = current.timestamp;
+    if (ts) {
+      if (!sig.first_seen || ts < sig.first_seen) sig.first_seen = ts;
+      if (!sig.last_seen || ts > sig.last_seen) sig.last_seen = ts;
     }
-  }
+    sig.evidence.push(current);
+    if (sig.evidence.length > MAX_EVIDENCE) sig.evidence.shift();
+    return sig;
+  };
 
-  // --- 工具信号 ---
-  const toolCounts = new Map();
-  for (const entry of entries) {
-    // OpenClaw 格式：tool_use content blocks
-    if (entry.type === 'message' && entry.message?.role === 'assistant') {
-      const content = entry.message.content;
-      if (Array.isArray(content)) {
-        for (const block of content) {
-          if (block.type === 'tool_use' && block.name) {
-            toolCounts.set(block.name, (toolCounts.get(block.name) || 0) + 1);
-          }
-        }
+  const instances = (options.detectors || BUILTIN_DETECTORS).map((detector) => {
+    const tallies = new Map();   // 检测器私有的中间计数，不直接输出
+    const severity = { ...SIGNAL_SEVERITY, ...detector.severity };
+    const declare = (name) => {
+      if (!emitsSignal(detector, name)) {
+        throw new Error(`emitted undeclared signal "${name}" (emits: ${detector.emits.join(', ')})`);
       }
-    }
-    // 简化格式
-    if (entry.tool_name) {
-      toolCounts.set(entry.tool_name, (toolCounts.get(entry.tool_name) || 0) + 1);
-    }
-  }
-  for (const [tool, count] of toolCounts) {
-    if (count >= 5) {
-      signals.add(`high_tool_usage:${tool}`);
-    }
-  }
+    };
 
-  // repeated_tool_usage：从 tool_use blocks 中提取连续工具使用
-  const toolSequence = [];
-  for (const entry of entries) {
-    if (entry.type === 'message' && entry.message?.role === 'assistant') {
-      const content = entry.message.content;
-      if (Array.isArray(content)) {
-        for (const block of content) {
-          if (block.type === 'tool_use' && block.name) {
-            toolSequence.push(block.name);
-          }
-        }
-      }
-    }
-    if (entry.tool_name) {
-      toolSequence.push(entry.tool_name);
-    }
-  }
-  let repeatCount = 1;
-  for (let i = 1; i < toolSequence.length; i++) {
-    if (toolSequence[i] === toolSequence[i - 1]) {
-      repeatCount++;
-      if (repeatCount >= 3) {
-        signals.add(`repeated_tool_usage:${toolSequence[i]}`);
-      }
-    } else {
-      repeatCount = 1;
-    }
-  }
+    const ctx = {
+      get current() { return current; },
+      text: extractText,
+      /** 记录一次由当前条目触发的信号 */
+      hit(name) {
+        declare(name);
+        return record(signals, name, severityOf(name, severity));
+      },
+      /** 由若干来源信号派生聚合信号，合并其时间范围和证据；信号已存在时不覆盖 */
+      derive(name, sources, count) {
+        declare(name);
+        if (signals.has(name)) return signals.get(name);
+        const evidence = sources.flatMap(s => s.evidence).slice(-MAX_EVIDENCE);
+        const first = sources.map(s => s.first_seen).filter(Boolean).sort()[0] || null;
+        const last = sources.map(s => s.last_seen).filter(Boolean).sort().pop() || null;
+        const sig = createSignal(name, {
+          count, first_seen: first, last_seen: last, evidence, severity: severityOf(name, severity),
+        });
+        signals.set(name, sig);
+        return sig;
+      },
+      /**
+       * errsig：按错误指纹归入稳定的簇，附带簇的示例消息、累计次数和近期次数
+       * （最近窗口内的出现次数，不少于本轮出现次数——没有时间戳的条目只计入本轮）
+       */
+      errsig(message) {
+        const cluster = clusterer.assign(message, current.timestamp);
+        const sig = ctx.hit(`errsig:${cluster.id}`);
+        return Object.assign(sig, {
+          exemplar: cluster.exemplar,
+          total: cluster.count,
+          recent: Math.max(sig.count, recentOccurrences(cluster)),
+        });
+      },
+      /** 累计检测器私有计数（如各工具使用次数） */
+      tally: (key) => record(tallies, key),
+      tallies: () => [...tallies.values()],
+      /** 累加数值指标（如 token 用量、费用） */
+      metric(name, value) {
+        if (typeof value === 'number' && Number.isFinite(value)) metrics[name] = (metrics[name] || 0) + value;
+      },
+      /** 读取已产出的信号（可能来自其他检测器） */
+      signal: (name) => signals.get(name) || null,
+    };
+    return { detector, ctx, instance: detector.create() };
+  });
 
-  // --- 停滞信号 ---
-  let solidifyFailCount = 0;
-  for (const entry of entries) {
-    if (entry.mutation_applied && entry.solidify_failed) {
-      solidifyFailCount++;
+  const guard = ({ detector }, fn) => {
+    try {
+      fn();
+    } catch (err) {
+      if (!errors.some(e => e.detector === detector.name && e.error === err.message)) {
+        errors.push({ detector: detector.name, error: err.message });
+      }
     }
-  }
-  if (solidifyFailCount >= 3) {
-    signals.add('repair_loop_detected');
-  }
+  };
 
-  // 检测 OpenClaw session 中的全错误模式（所有 assistant 消息都失败）
-  if (assistantMsgs.length >= 5) {
-    const allError = assistantMsgs.every(
-      e => e.message?.stopReason === 'error' || !!e.message?.errorMessage,
-    );
-    if (allError) {
-      signals.add('recurring_error');
-      signals.add('evolution_stagnation');
+  /**
+   * 处理一条条目。
+   *
+   * @param {Object} entry - session log 条目
+   * @param {{ file: string, line: number }} [ref] - 条目所在文件与行号
+   */
+  function add(entry, ref) {
+    if (!entry || typeof entry !== 'object') return;
+    current = { file: ref?.file || null, line: ref?.line || null, timestamp: entryTimestamp(entry) };
+    for (const item of instances) {
+      if (consumesEntry(item.detector, entry)) guard(item, () => item.instance.add(entry, item.ctx));
     }
   }
 
-  // --- 能力信号 ---
-  for (const entry of entries) {
-    if (entry.type === 'capability_mention' && entry.name) {
-      signals.add(`capability_candidate:${entry.name}`);
-    }
-    // OpenClaw custom 事件
-    if (entry.type === 'custom' && entry.customType === 'capability_mention' && entry.data?.name) {
-      signals.add(`capability_candidate:${entry.data.name}`);
+  /**
+   * 汇总已处理条目的信号（依次调用各检测器的 finish）。
+   *
+   * @returns {Signal[]} 提取到的信号（每个名称一个）
+   */
+  function finish() {
+    for (const item of instances) {
+      if (typeof item.instance.finish === 'function') guard(item, () => item.instance.finish(item.ctx));
     }
+    return [...signals.values()];
   }
 
-  return [...signals];
+  return { add, finish, metrics: () => ({ ...metrics }), errors };
 }
 
 /**
- * 解析单个 JSONL 文件内容为条目数组。
+ * 从 session log 条目数组提取信号。
  *
- * @param {string} content - JSONL 文件原始内容
- * @returns {Object[]} 解析后的条目
+ * @param {Object[]} entries - session log 条目（JSONL 解析后）
+ * @param {Object} [options] - 选项（同 createSignalCollector）
+ * @returns {Signal[]} 提取到的信号；只需名称时用 signalNames()
  */
-function parseJSONL(content) {
-  if (!content || !content.trim()) return [];
-  return content
-    .trim()
-    .split('\n')
-    .filter(Boolean)
-    .map((line) => {
-      try {
-        return JSON.parse(line);
-      } catch {
-        return null;
-      }
-    })
-    .filter(Boolean);
+function extractSignals(entries, options = {}) {
+  if (!Array.isArray(entries) || entries.length === 0) return [];
+
+  const collector = createSignalCollector(options);
+  for (const entry of entries) collector.add(entry);
+  return collector.finish();
 }
 
 /**
- * 从文件系统读取 session logs 并提取信号。
+ * 从文件系统流式读取 session logs 并提取信号（不使用读取游标）。
  *
  * @param {string} sessionsDir - sessions 目录路径
- * @returns {string[]} 提取到的信号列表（去重）
+ * @param {Object} [options] - 选项
+ * @param {Function} [options.onError] - 行错误回调 ({ file, line, offset, reason, error }) => void
+ * @param {Object} [options.clusterer] - 错误聚类器
+ * @returns {Promise<Signal[]>} 提取到的信号
  */
-function extractFromSessions(sessionsDir) {
+async function extractFromSessions(sessionsDir, options = {}) {
   if (!fs.existsSync(sessionsDir)) return [];
 
   const files = fs.readdirSync(sessionsDir).filter((f) => f.endsWith('.jsonl'));
   if (files.length === 0) return [];
 
-  const allEntries = [];
+  const collector = createSignalCollector({ clusterer: options.clusterer });
   for (const file of files) {
     const filepath = path.join(sessionsDir, file);
-    const content = fs.readFileSync(filepath, 'utf-8');
-    const entries = parseJSONL(content);
-    allEntries.push(...entries);
+    const onError = options.onError && ((err) => options.onError({ file: filepath, ...err }));
+    for await (const { entry, line } of readJSONLStream(filepath, { onError })) {
+      collector.add(entry, { file: filepath, line });
+    }
   }
 
-  return extractSignals(allEntries);
+  return collector.finish();
 }
 
-module.exports = { extractSignals, extractFromSessions };
+module.exports = {
+  MAX_EVIDENCE,
+  severityOf,
+  createSignal,
+  signalNames,
+  describeSignal,
+  createSignalCollector,
+  extractSignals,
+  extractFromSessions,
+};
@@ -1,21 +1,25 @@
 'use strict';
 
 const { execSync } = require('node:child_process');
+const path = require('node:path');
+const { assessRisk } = require('../gep/mutation');
 
 /**
  * 固化协议 (Solidify Protocol)。
  *
  * 补丁应用后的验证闭环：
  * 1. 计算 blast radius
- * 2. 执行 Gene validation 命令
- * 3. ADL 约束检查
- * 4. 通过 → Capsule + Event | 失败 → 回滚
+ * 2. 子 agent 执行失败 → 直接回滚
+ * 3. Gene 约束检查（max_files / forbidden_paths）
+ * 4. 执行 Gene validation 命令
+ * 5. ADL 约束检查
+ * 6. 通过 → 成功 Capsule + Event | 失败 → 回滚 + 失败 Capsule
  */
 
 /**
  * 计算变更的爆炸半径。
  *
- * @param {string[]} changedFiles - 变更文件列表
+ * @param {string[]} changedFiles - 变更文件列表（含新增、删除文件）
  * @param {Object} [lineStats] - 行统计 { additions: number, deletions: number }
  * @returns {{ files: number, lines: number }}
  */
@@ -64,31 +68,227 @@ function runValidations(commands, cwd, timeoutMs = 30000) {
   return { passed: allPassed, results };
 }
 
+/**
+ * 为 Capsule 记录变异前后的快照引用，供之后 revertCapsule 回退。
+ *
+ * - git：变异前后的工作区 tree
+ * - journal：journal 备份目录和变更文件在变异前的内容哈希（变异前不存在为 null）
+ *
+ * @param {Object|null} snapshot - 变异前的 createWorkspaceSnapshot() 快照
+ * @param {string} workDir - 工作目录
+ * @param {string[]} files - 变更文件
+ * @returns {Object|null}
+ */
+function snapshotRef(snapshot, workDir, files) {
+  if (!snapshot) return null;
+  if (snapshot.mode === 'git') {
+    const { writeWorktreeTree } = require('../adl/rollback');
+    try {
+      return { mode: 'git', before: snapshot.worktree_tree, after: writeWorktreeTree(workDir) };
+    } catch {
+      return null;
+    }
+  }
+  const before = {};
+  for (const file of files) before[file] = snapshot.files[file] || null;
+  return { mode: 'journal', blob_dir: snapshot.blob_dir, before };
+}
+
+/**
+ * 限制 journal 备份的磁盘占用：裁剪本次快照，只留回退所需的副本；
+ * 引用 journal 的成功 Capsule 超过 JOURNAL_MAX_KEPT 个时，删除更早的备份，
+ * 并在这些 Capsule 上清除快照引用（记录 snapshot_pruned_at），它们之后不能再回退。
+ *
+ * @param {Object} snapshot - 变异前的 journal 快照
+ * @param {Object} capsule - 刚固化的 Capsule
+ */
+function pruneJournals(snapshot, capsule) {
+  const { JOURNAL_MAX_KEPT, trimJournal, discardSnapshot } = require('../adl/rollback');
+  const { loadCapsules, saveCapsules } = require('../gep/store');
+
+  trimJournal(snapshot, Object.values(capsule.snapshot.before));
+
+  const capsules = loadCapsules();
+  const journaled = capsules.filter(c => c.snapshot && c.snapshot.mode === 'journal' && !c.reverted);
+  const expired = journaled.slice(0, Math.max(0, journaled.length - JOURNAL_MAX_KEPT));
+  if (expired.length === 0) return;
+  const now = new Date().toISOString();
+  for (const c of expired) {
+    discardSnapshot(c.snapshot);
+    c.snapshot = null;
+    c.snapshot_pruned_at = now;
+  }
+  saveCapsules(capsules);
+}
+
 /**
  * 执行完整的固化流程。
  *
  * @param {Object} params - 固化参数
  * @param {Object} params.gene - 触发 Gene
  * @param {Object} params.mutation - 变异提案
+ * @param {Object} [params.execution] - 子 agent 执行结果 { success, output, error }
  * @param {string[]} params.changedFiles - 变更文件
  * @param {string[]} [params.newFiles] - 新增文件
- * @param {Object} [params.lineStats] - 行统计
+ * @param {string[]} [params.deletedFiles] - 删除文件
+ * @param {Object} [params.lineStats] - 行统计 { additions, deletions }
+ * @param {string|null} [params.changeError] - 变更检测失败的原因（此时文件列表不可信，固化失败）
+ * @param {Object} [params.snapshot] - createWorkspaceSnapshot() 快照，失败时据此恢复整个工作区
  * @param {boolean} [params.dryRun=false] - 干运行模式
  * @param {string} [params.cwd] - 工作目录
- * @returns {Promise<{ success: boolean, blast: Object, validation: Object, adl: Object|null, capsule: Object|null, event: Object|null }>}
+ * @param {string} [params.cycleId] - 所属进化周期 ID，写入产生的事件
+ * @param {string} [params.agent] - 信号来源 agent，记录在 Capsule 上
+ * @returns {Promise<{ success: boolean, reason: string|null, blast: Object, risk: Object, validation: Object|null, adl: Object|null, capsule: Object|null, event: Object|null }>}
  */
 async function solidify(params) {
   // 延迟加载，避免循环依赖
-  const { checkADL } = require('./adl/lock');
-  const { rollback } = require('./adl/rollback');
+  const { checkADL, checkGeneConstraints } = require('../adl/lock');
+  const { rollback, restoreSnapshot } = require('../adl/rollback');
   const { createCapsule } = require('../gep/capsule');
   const { createEvent } = require('../gep/event');
   const { addCapsule, appendEvent, loadCapsules } = require('../gep/store');
 
-  // 1. 计算 blast radius
-  const blast = computeBlast(params.changedFiles, params.lineStats);
+  const changedFiles = params.changedFiles || [];
+  const newFiles = params.newFiles || [];
+  const deletedFiles = params.deletedFiles || [];
+  // git checkout 可同时恢复修改和删除的文件
+  const restorableFiles = [...changedFiles, ...deletedFiles];
+  const allFiles = [...changedFiles, ...newFiles, ...deletedFiles];
+  const workDir = path.resolve(params.cwd || process.cwd());
+
+  // 回滚：有变异前快照时恢复整个工作区，否则逐文件回滚
+  const revert = (trigger) => {
+    const outcome = params.snapshot
+      ? restoreSnapshot(workDir, params.snapshot)
+      : { mode: 'files', ...rollback(workDir, restorableFiles, newFiles) };
+    appendEvent(createEvent({
+      event_type: 'rollback',
+      payload: {
+        trigger,
+        gene_id: params.gene.id,
+        mode: outcome.mode,
+        success: outcome.success,
+        verified: outcome.verified ?? null,
+        restored: outcome.restored,
+        deleted: outcome.deleted,
+        error: outcome.error,
+      },
+      gene_id: params.gene.id,
+      cycle_id: params.cycleId,
+    }));
+    return outcome;
+  };
+
+  // 1. 计算 blast radius 与风险
+  const blast = computeBlast(allFiles, params.lineStats);
+  const risk = assessRisk(params.mutation, blast);
+
+  // 每次尝试（成功或失败）都记录为 Capsule，供趋势、ADL 稳定性门控和劣化检测使用
+  const recordAttempt = (outcome, extra) => createCapsule({
+    gene_id: params.gene.id,
+    mutation_category: params.mutation.category,
+    signals: params.mutation.trigger_signals,
+    files_changed: allFiles,
+    summary: params.mutation.expected_effect,
+    success: outcome === 'success',
+    outcome,
+    failure_reason: extra.failure_reason || null,
+    metrics: {
+      blast_files: blast.files,
+      blast_lines: blast.lines,
+      validation_passed: extra.validation_passed,
+    },
+    workspace: workDir,
+    snapshot: extra.snapshot || null,
+    agent: params.agent,
+  });
+
+  // 失败收尾：回滚 + 失败 Capsule
+  const fail = (outcome, failEvent, extra) => {
+    let capsule = null;
+    if (!params.dryRun) {
+      revert(outcome);
+      capsule = recordAttempt(outcome, {
+        failure_reason: extra.reason,
+        validation_passed: extra.validation ? extra.validation.passed : false,
+      });
+      addCapsule(capsule);
+    }
+    return {
+      success: false,
+      reason: extra.reason,
+      blast,
+      risk,
+      validation: extra.validation || null,
+      adl: extra.adl || null,
+      capsule,
+      event: failEvent,
+    };
+  };
+
+  // 2. 子 agent 执行失败：不进入验证，直接回滚
+  if (params.execution && !params.execution.success) {
+    const failEvent = createEvent({
+      event_type: 'solidify_failed',
+      payload: {
+        reason: 'execution_failed',
+        blast,
+        risk,
+        error: params.execution.error,
+      },
+      gene_id: params.gene.id,
+      cycle_id: params.cycleId,
+    });
+    appendEvent(failEvent);
+
+    return fail('execution_failed', failEvent, { reason: 'execution_failed' });
+  }
+
+  // 2b. 变更检测失败：文件列表为空不代表没有变更，blast 与约束检查无从判断，按失败处理并回滚
+  if (params.changeError) {
+    const failEvent = createEvent({
+      event_type: 'solidify_failed',
+      payload: {
+        reason: 'change_detection_failed',
+        blast,
+        risk,
+        error: params.changeError,
+      },
+      gene_id: params.gene.id,
+      cycle_id: params.cycleId,
+    });
+    appendEvent(failEvent);
+
+    return fail('change_detection_failed', failEvent, {
+      reason: `change_detection_failed: ${params.changeError}`,
+    });
+  }
+
+  // 3. Gene 约束检查：超出 max_files 或写入 forbidden_paths
+  const constraintCheck = checkGeneConstraints(params.gene, allFiles);
+
+  if (!constraintCheck.ok) {
+    const failEvent = createEvent({
+      event_type: 'adl_violation',
+      payload: {
+        reason: 'gene_constraint_violation',
+        violations: constraintCheck.violations,
+        offending_paths: constraintCheck.offending_paths,
+        blast,
+        risk,
+      },
+      gene_id: params.gene.id,
+      cycle_id: params.cycleId,
+    });
+    appendEvent(failEvent);
+
+    return fail('gene_constraint_violation', failEvent, {
+      reason: `gene_constraint_violation: ${constraintCheck.violations.join(', ')}`,
+      adl: { ok: false, violations: constraintCheck.violations },
+    });
+  }
 
-  // 2. 执行验证命令
+  // 4. 执行验证命令
   const validation = runValidations(
     params.gene.validation,
     params.cwd,
@@ -100,77 +300,58 @@ async function solidify(params) {
       payload: {
         reason: 'validation_failed',
         blast,
+        risk,
         validation_results: validation.results,
       },
       gene_id: params.gene.id,
+      cycle_id: params.cycleId,
     });
     appendEvent(failEvent);
 
-    // 回滚
-    if (!params.dryRun) {
-      rollback(params.cwd || process.cwd(), params.changedFiles || [], params.newFiles || []);
-      appendEvent(createEvent({
-        event_type: 'rollback',
-        payload: { trigger: 'validation_failed', gene_id: params.gene.id },
-        gene_id: params.gene.id,
-      }));
-    }
-
-    return { success: false, blast, validation, adl: null, capsule: null, event: failEvent };
+    return fail('validation_failed', failEvent, { reason: 'validation_failed', validation });
   }
 
-  // 3. ADL 约束检查
+  // 5. ADL 约束检查
   const capsuleHistory = loadCapsules();
   const adl = checkADL(params.mutation, blast, capsuleHistory);
 
   if (!adl.ok) {
     const failEvent = createEvent({
       event_type: 'adl_violation',
-      payload: { violations: adl.violations, blast },
+      payload: { violations: adl.violations, blast, risk },
       gene_id: params.gene.id,
+      cycle_id: params.cycleId,
     });
     appendEvent(failEvent);
 
-    // 回滚
-    if (!params.dryRun) {
-      rollback(params.cwd || process.cwd(), params.changedFiles || [], params.newFiles || []);
-      appendEvent(createEvent({
-        event_type: 'rollback',
-        payload: { trigger: 'adl_violation', gene_id: params.gene.id },
-        gene_id: params.gene.id,
-      }));
-    }
-
-    return { success: false, blast, validation, adl, capsule: null, event: failEvent };
+    return fail('adl_violation', failEvent, {
+      reason: `adl_violation: ${adl.violations.join(', ')}`,
+      validation,
+      adl,
+    });
   }
 
-  // 4. 成功 → 生成 Capsule + Event
+  // 6. 成功 → 生成 Capsule + Event
   if (params.dryRun) {
-    return { success: true, blast, validation, adl, capsule: null, event: null };
+    return { success: true, reason: null, blast, risk, validation, adl, capsule: null, event: null };
   }
 
-  const capsule = createCapsule({
-    gene_id: params.gene.id,
-    mutation_category: params.mutation.category,
-    signals: params.mutation.trigger_signals,
-    files_changed: params.changedFiles,
-    summary: params.mutation.expected_effect,
-    metrics: {
-      blast_files: blast.files,
-      blast_lines: blast.lines,
-      validation_passed: true,
-    },
+  const capsule = recordAttempt('success', {
+    validation_passed: true,
+    snapshot: snapshotRef(params.snapshot, workDir, allFiles),
   });
   addCapsule(capsule);
+  if (capsule.snapshot && capsule.snapshot.mode === 'journal') pruneJournals(params.snapshot, capsule);
 
   const successEvent = createEvent({
     event_type: 'solidify_success',
-    payload: { capsule_id: capsule.id, blast },
+    payload: { capsule_id: capsule.id, blast, risk },
     gene_id: params.gene.id,
+    cycle_id: params.cycleId,
   });
   appendEvent(successEvent);
 
-  return { success: true, blast, validation, adl, capsule, event: successEvent };
+  return { success: true, reason: null, blast, risk, validation, adl, capsule, event: successEvent };
 }
 
 module.exports = { computeBlast, runValidations, solidify };
@@ -3,11 +3,30 @@
 const crypto = require('node:crypto');
 
 /**
- * Capsule（成功经验胶囊）数据结构。
+ * Capsule（经验胶囊）数据结构。
  *
- * Capsule 记录一次成功的进化变异结果，作为可复用的经验沉淀。
+ * Capsule 记录一次进化尝试及其结果：成功的作为可复用的经验沉淀，
+ * 失败的为趋势分析、ADL 稳定性门控和劣化检测提供数据。
+ * 所有读取方都通过 isCapsuleSuccessful() 判定成败。
+ * 成功固化的 Capsule 带有 effect 字段，记录之后的 session 中触发信号
+ * 是否真正消失（见 core/effectiveness），由 capsuleEffectScore() 读取。
  */
 
+/** @typedef {'success' | 'execution_failed' | 'change_detection_failed' | 'gene_constraint_violation' | 'validation_failed' | 'adl_violation'} CapsuleOutcome */
+
+/** @typedef {'pending' | 'effective' | 'ineffective' | 'regressed'} CapsuleEffectStatus */
+
+/**
+ * @typedef {Object} CapsuleEffect
+ * @property {CapsuleEffectStatus} status - 实际效果（pending 表示仍在观察）
+ * @property {number} cycles_observed - 已观察的周期数
+ * @property {string[]} recurred - 观察期内再次出现的触发信号
+ * @property {string|null} evaluated_at - 得出结论的时间
+ */
+
+/** 各实际效果计入的分数（0-1） */
+const EFFECT_SCORES = { effective: 1, regressed: 0.5, ineffective: 0 };
+
 /**
  * 创建新 Capsule。
  *
@@ -17,10 +36,16 @@ const crypto = require('node:crypto');
  * @param {string[]} params.signals - 触发信号
  * @param {string[]} params.files_changed - 变更的文件列表
  * @param {string} params.summary - 变更摘要
+ * @param {boolean} [params.success=true] - 本次尝试是否成功固化
+ * @param {CapsuleOutcome} [params.outcome] - 结果分类（默认按 success 推断）
+ * @param {string|null} [params.failure_reason] - 失败原因详情
  * @param {Object} [params.metrics] - 度量指标
  * @param {number} [params.metrics.blast_files] - 变更文件数
  * @param {number} [params.metrics.blast_lines] - 变更行数
  * @param {boolean} [params.metrics.validation_passed] - 验证是否通过
+ * @param {string} [params.workspace] - 变异所在工作目录
+ * @param {Object} [params.snapshot] - 变异前后的快照引用，供 revertCapsule 回退
+ * @param {string} [params.agent] - 产生触发信号的 OpenClaw agent
  * @returns {Object} Capsule 对象
  */
 function createCapsule(params) {
@@ -35,15 +60,56 @@ function createCapsule(params) {
     signals: params.signals || [],
     files_changed: params.files_changed || [],
     summary: params.summary,
+    success: params.success ?? true,
+    outcome: params.outcome || ((params.success ?? true) ? 'success' : 'validation_failed'),
+    failure_reason: params.failure_reason || null,
     metrics: {
       blast_files: params.metrics?.blast_files ?? 0,
       blast_lines: params.metrics?.blast_lines ?? 0,
       validation_passed: params.metrics?.validation_passed ?? true,
     },
+    workspace: params.workspace || null,
+    snapshot: params.snapshot || null,
+    agent: params.agent || null,
+    effect: (params.success ?? true)
+      ? { status: 'pending', cycles_observed: 0, recurred: [], evaluated_at: null }
+      : null,
+    reverted: false,
+    reverted_at: null,
     created_at: new Date().toISOString(),
   };
 }
 
+/**
+ * 判断 Capsule 是否计为一次成功进化。
+ *
+ * 失败尝试和已被 revertCapsule 回退的 Capsule 都不计为成功；
+ * 没有 success 字段的旧 Capsule 按 metrics.validation_passed 判定。
+ *
+ * @param {Object} capsule - Capsule 对象
+ * @returns {boolean}
+ */
+function isCapsuleSuccessful(capsule) {
+  if (!capsule || capsule.reverted) return false;
+  if (typeof capsule.success === 'boolean') return capsule.success;
+  return !!(capsule.metrics && capsule.metrics.validation_passed);
+}
+
+/**
+ * Capsule 的实际效果分数。
+ *
+ * 失败或已回退的 Capsule 为 0；已得出结论的按 EFFECT_SCORES 计分；
+ * 仍在观察或没有 effect 字段（旧 Capsule）时返回 null，由调用方决定如何回退。
+ *
+ * @param {Object} capsule - Capsule 对象
+ * @returns {number|null} 0-1 的分数
+ */
+function capsuleEffectScore(capsule) {
+  if (!isCapsuleSuccessful(capsule)) return 0;
+  const status = capsule.effect?.status;
+  return status in EFFECT_SCORES ? EFFECT_SCORES[status] : null;
+}
+
 /**
  * 从 Capsule 历史中检测稳定性趋势。
  *
@@ -57,7 +123,7 @@ function analyzeTrend(capsules, windowSize = 5) {
   }
 
   const recent = capsules.slice(-windowSize);
-  const successCount = recent.filter(c => c.metrics.validation_passed).length;
+  const successCount = recent.filter(isCapsuleSuccessful).length;
   const successRate = successCount / recent.length;
 
   if (capsules.length < windowSize * 2) {
@@ -65,7 +131,7 @@ function analyzeTrend(capsules, windowSize = 5) {
   }
 
   const older = capsules.slice(-(windowSize * 2), -windowSize);
-  const olderSuccessRate = older.filter(c => c.metrics.validation_passed).length / older.length;
+  const olderSuccessRate = older.filter(isCapsuleSuccessful).length / older.length;
 
   let trend = 'stable';
   if (successRate > olderSuccessRate + 0.1) trend = 'improving';
@@ -74,4 +140,6 @@ function analyzeTrend(capsules, windowSize = 5) {
   return { trend, success_rate: successRate };
 }
 
-module.exports = { createCapsule, analyzeTrend };
+module.exports = {
+  createCapsule, isCapsuleSuccessful, capsuleEffectScore, analyzeTrend, EFFECT_SCORES,
+};
@@ -8,7 +8,19 @@ const crypto = require('node:crypto');
  * 记录每次进化行为的完整上下文，用于审计和回溯。
  */
 
-/** @typedef {'signal_extracted' | 'gene_selected' | 'mutation_applied' | 'solidify_success' | 'solidify_failed' | 'rollback' | 'pcec_cycle' | 'capability_grown' | 'capability_pruned' | 'adl_violation'} EventType */
+/** @typedef {'signal_extracted' | 'gene_selected' | 'mutation_applied' | 'solidify_success' | 'solidify_failed' | 'rollback' | 'pcec_cycle' | 'capability_grown' | 'capability_pruned' | 'adl_violation' | 'strategy_changed' | 'cycle_complete' | 'capsule_evaluated'} EventType */
+
+/** 周期记录类事件类型：只记录周期本身，不反映进化行为，统计事件窗口时排除 */
+const BOOKKEEPING_EVENTS = ['cycle_complete', 'strategy_changed', 'capsule_evaluated'];
+
+/**
+ * 生成进化周期 ID，同一周期内的所有事件共享此 ID。
+ *
+ * @returns {string} 周期 ID
+ */
+function createCycleId() {
+  return `cyc_${crypto.randomUUID().slice(0, 8)}`;
+}
 
 /**
  * 创建 EvolutionEvent。
@@ -17,7 +29,7 @@ const crypto = require('node:crypto');
  * @param {EventType} params.event_type - 事件类型
  * @param {Object} params.payload - 事件载荷
  * @param {string} [params.gene_id] - 关联 Gene ID
- * @param {string} [params.cycle_id] - 关联 PCEC 周期 ID
+ * @param {string} [params.cycle_id] - 关联进化周期 ID（createCycleId）
  * @returns {Object} EvolutionEvent 对象
  */
 function createEvent(params) {
@@ -67,4 +79,4 @@ function summarizeEvents(events) {
   return summary;
 }
 
-module.exports = { createEvent, filterEvents, summarizeEvents };
+module.exports = { BOOKKEEPING_EVENTS, createCycleId, createEvent, filterEvents, summarizeEvents };
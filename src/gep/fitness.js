@@ -0,0 +1,94 @@
+'use strict';
+
+const { isCapsuleSuccessful, capsuleEffectScore } = require('./capsule');
+
+/**
+ * Gene 适应度统计。
+ *
+ * 从 Capsule 历史按 Gene 汇总尝试次数、成功、回退、平均 blast 与实际效果，
+ * 并为每次尝试计一个 0-1 的回报，供 core/bandit 的选择策略使用。
+ * store.saveCapsules 每次写入 Capsule 时重算，持久化在 state.json 的 gene_fitness 中。
+ */
+
+/** @constant {number} 验证通过、实际效果仍在观察中的尝试计入的回报 */
+const PENDING_REWARD = 0.75;
+
+/**
+ * @typedef {Object} GeneFitness
+ * @property {number} attempts - 尝试次数（每个 Capsule 计一次）
+ * @property {number} successes - 成功固化且未回退的次数
+ * @property {number} failures - 固化失败的次数
+ * @property {number} rollbacks - 成功后又被 rollback 回退的次数
+ * @property {number} success_rate - successes / attempts
+ * @property {number} avg_blast_files - 平均变更文件数
+ * @property {number} avg_blast_lines - 平均变更行数
+ * @property {number} evaluated - 实际效果已得出结论的 Capsule 数
+ * @property {number|null} effectiveness - 已得出结论的平均效果分（0-1），没有时为 null
+ * @property {number} reward_sum - 回报之和
+ * @property {number} reward_mean - 平均回报（0-1）
+ * @property {string|null} last_attempt_at - 最近一次尝试的时间
+ */
+
+/**
+ * 一次尝试的回报：失败或回退为 0，已得出结论的按实际效果计分，
+ * 验证通过但仍在观察的计 PENDING_REWARD。
+ *
+ * @param {Object} capsule - Capsule 对象
+ * @returns {number} 0-1
+ */
+function capsuleReward(capsule) {
+  const score = capsuleEffectScore(capsule);
+  if (score !== null) return score;
+  return isCapsuleSuccessful(capsule) ? PENDING_REWARD : 0;
+}
+
+/**
+ * 按 Gene 汇总适应度。
+ *
+ * @param {Object[]} capsules - Capsule 历史
+ * @returns {Object<string, GeneFitness>} Gene ID → 适应度
+ */
+function computeGeneFitness(capsules) {
+  const acc = {};
+  for (const c of capsules || []) {
+    if (!c.gene_id) continue;
+    const s = acc[c.gene_id] ??= {
+      attempts: 0, successes: 0, failures: 0, rollbacks: 0,
+      blast_files: 0, blast_lines: 0, evaluated: 0, effect_total: 0, reward_sum: 0, last_attempt_at: null,
+    };
+    s.attempts++;
+    if (isCapsuleSuccessful(c)) s.successes++;
+    if (c.success === false) s.failures++;
+    if (c.reverted) s.rollbacks++;
+    s.blast_files += c.metrics?.blast_files || 0;
+    s.blast_lines += c.metrics?.blast_lines || 0;
+    if (c.effect && c.effect.status !== 'pending') {
+      s.evaluated++;
+      s.effect_total += capsuleEffectScore(c);
+    }
+    s.reward_sum += capsuleReward(c);
+    if (c.created_at && (!s.last_attempt_at || c.created_at > s.last_attempt_at)) s.last_attempt_at = c.created_at;
+  }
+
+  const round = n => Math.round(n * 1000) / 1000;
+  return Object.fromEntries(Object.entries(acc).map(([id, s]) => [id, {
+    attempts: s.attempts,
+    successes: s.successes,
+    failures: s.failures,
+    rollbacks: s.rollbacks,
+    success_rate: round(s.successes / s.attempts),
+    avg_blast_files: round(s.blast_files / s.attempts),
+    avg_blast_lines: round(s.blast_lines / s.attempts),
+    evaluated: s.evaluated,
+    effectiveness: s.evaluated > 0 ? round(s.effect_total / s.evaluated) : null,
+    reward_sum: round(s.reward_sum),
+    reward_mean: round(s.reward_sum / s.attempts),
+    last_attempt_at: s.last_attempt_at,
+  }]));
+}
+
+module.exports = {
+  PENDING_REWARD,
+  capsuleReward,
+  computeGeneFitness,
+};
@@ -1,6 +1,9 @@
 'use strict';
 
 const crypto = require('node:crypto');
+const {
+  loadSignalOntology, matchPattern, isRegexPattern, compilePattern,
+} = require('./ontology');
 
 /**
  * Gene 数据结构与 CRUD 操作。
@@ -10,6 +13,9 @@ const crypto = require('node:crypto');
 
 /** @typedef {'repair' | 'optimize' | 'innovate'} GeneCategory */
 
+/** @constant {string} 否定模式前缀 */
+const NEGATION_PREFIX = '!';
+
 /**
  * 创建新 Gene。
  *
@@ -77,29 +83,54 @@ function updateGene(gene, updates) {
   return result;
 }
 
+/**
+ * 逐条说明 Gene 的 signals_match 与信号集的匹配情况。
+ *
+ * 信号可以是信号名字符串或结构化信号对象（取其 name），
+ * 匹配到的对象原样放在 signal 字段中，便于展示信号触发原因。
+ * 每个模式取权重最高的信号，匹配规则见 gep/ontology。
+ *
+ * @param {Object} gene - Gene 对象
+ * @param {Array<string|Object>} signals - 当前信号集
+ * @param {Object} [ontology] - 信号本体（默认读取 assets/signal_ontology.json）
+ * @returns {Array<{ pattern: string, weight: number, signal: string|Object|null, kind: string|null, distance: number, negated: boolean }>}
+ *   weight：1 精确 / 别名，0.8 通配 / 正则，0.5^层数 层级匹配，0 未匹配或否定模式；
+ *   否定模式的 signal 为命中它的信号（有则整个 Gene 不匹配）
+ */
+function explainMatch(gene, signals, ontology = loadSignalOntology()) {
+  if (!gene.signals_match || gene.signals_match.length === 0) return [];
+  const list = signals || [];
+  const nameOf = sig => (typeof sig === 'string' ? sig : sig.name);
+
+  return gene.signals_match.map((raw) => {
+    const negated = raw.startsWith(NEGATION_PREFIX);
+    const pattern = negated ? raw.slice(NEGATION_PREFIX.length) : raw;
+    let best = null;
+    for (const sig of list) {
+      const m = matchPattern(pattern, nameOf(sig), ontology);
+      if (m && (!best || m.weight > best.weight)) best = { ...m, signal: sig };
+    }
+    if (negated) return { pattern: raw, weight: 0, signal: best ? best.signal : null, kind: null, distance: 0, negated };
+    if (!best) return { pattern: raw, weight: 0, signal: null, kind: null, distance: 0, negated };
+    return { pattern: raw, weight: best.weight, signal: best.signal, kind: best.kind, distance: best.distance, negated };
+  });
+}
+
 /**
  * 检查 Gene 的信号是否匹配给定信号集。
  *
  * @param {Object} gene - Gene 对象
- * @param {string[]} signals - 当前信号集
- * @returns {number} 匹配度分数（匹配信号数 / 总需求信号数）
+ * @param {Array<string|Object>} signals - 当前信号集（信号名或结构化信号）
+ * @param {Object} [ontology] - 信号本体（默认读取 assets/signal_ontology.json）
+ * @returns {number} 匹配度分数（肯定模式的权重和 / 肯定模式数；否定模式命中时为 0）
  */
-function matchScore(gene, signals) {
+function matchScore(gene, signals, ontology) {
   if (!gene.signals_match || gene.signals_match.length === 0) return 0;
-  const signalSet = new Set(signals);
-  let matched = 0;
-  for (const s of gene.signals_match) {
-    if (signalSet.has(s)) {
-      matched++;
-    } else {
-      // 支持前缀匹配，如 errsig:* 匹配 errsig:timeout
-      const prefix = s.replace(/:.*$/, ':');
-      if (prefix !== s && signals.some(sig => sig.startsWith(prefix))) {
-        matched += 0.5;
-      }
-    }
-  }
-  return matched / gene.signals_match.length;
+  const matches = explainMatch(gene, signals, ontology);
+  if (matches.some(m => m.negated && m.signal)) return 0;
+  const positive = matches.filter(m => !m.negated);
+  if (positive.length === 0) return 0;
+  return positive.reduce((sum, m) => sum + m.weight, 0) / positive.length;
 }
 
 /**
@@ -117,6 +148,19 @@ function validateGene(gene) {
   }
   if (!Array.isArray(gene.signals_match) || gene.signals_match.length === 0) {
     errors.push('signals_match must be non-empty array');
+  } else {
+    if (gene.signals_match.every(p => String(p).startsWith(NEGATION_PREFIX))) {
+      errors.push('signals_match must contain at least one non-negated pattern');
+    }
+    for (const p of gene.signals_match) {
+      const pattern = String(p).replace(/^!/, '');
+      if (!isRegexPattern(pattern)) continue;
+      try {
+        compilePattern(pattern);
+      } catch (err) {
+        errors.push(`invalid regex in signals_match: ${p} (${err.message})`);
+      }
+    }
   }
   if (!Array.isArray(gene.strategy) || gene.strategy.length === 0) {
     errors.push('strategy must be non-empty array');
@@ -124,4 +168,4 @@ function validateGene(gene) {
   return { valid: errors.length === 0, errors };
 }
 
-module.exports = { createGene, updateGene, matchScore, validateGene };
+module.exports = { createGene, updateGene, explainMatch, matchScore, validateGene };
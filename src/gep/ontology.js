@@ -0,0 +1,209 @@
+'use strict';
+
+const { loadOntology } = require('./store');
+
+/**
+ * 信号本体。
+ *
+ * assets/signal_ontology.json 声明信号之间的 is-a 关系（errsig:* 是一种 log_error）
+ * 和别名（session_error → log_error），节点名可以是通配模式。Gene 的 signals_match
+ * 按本体匹配信号：
+ * - 精确名或别名：权重 1
+ * - 通配（errsig:*、tool_*:*）或正则（/^tool_.*$/）：权重 0.8
+ * - 信号是模式的后代：每隔一层权重减半（子节点 0.5，孙节点 0.25）
+ * - 以 ! 开头的否定模式：任一信号命中时整个 Gene 不匹配
+ */
+
+/** @constant {number} 通配 / 正则模式的匹配权重 */
+const PATTERN_WEIGHT = 0.8;
+
+/** @constant {number} 层级匹配时每上溯一层的权重衰减 */
+const ANCESTOR_DECAY = 0.5;
+
+/** @constant {number} 上溯的最大层数（防止配置成环） */
+const MAX_DEPTH = 16;
+
+/** 已编译的模式缓存 */
+const compiled = new Map();
+
+/**
+ * 是否为正则模式（/.../flags）。
+ *
+ * @param {string} pattern - 模式
+ * @returns {boolean}
+ */
+function isRegexPattern(pattern) {
+  return /^\/.+\/[a-z]*$/.test(pattern);
+}
+
+/**
+ * 是否为通配或正则模式。
+ *
+ * @param {string} pattern - 模式
+ * @returns {boolean}
+ */
+function isWildcardPattern(pattern) {
+  return isRegexPattern(pattern) || /[*?]/.test(pattern);
+}
+
+/**
+ * 把通配（* 匹配任意字符，? 匹配单个字符）或正则模式编译为 RegExp。
+ * 编译结果会被缓存复用，正则的 g / y 标志会被去掉，否则 test() 依赖 lastIndex，
+ * 同一个模式连续匹配时结果会交替出错。
+ *
+ * @param {string} pattern - 模式
+ * @returns {RegExp}
+ * @throws {SyntaxError} 正则无效
+ */
+function compilePattern(pattern) {
+  if (!compiled.has(pattern)) {
+    let re;
+    if (isRegexPattern(pattern)) {
+      const end = pattern.lastIndexOf('/');
+      re = new RegExp(pattern.slice(1, end), pattern.slice(end + 1).replace(/[gy]/g, ''));
+    } else {
+      const source = pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+      re = new RegExp(`^${source}$`);
+    }
+    compiled.set(pattern, re);
+  }
+  return compiled.get(pattern);
+}
+
+/**
+ * 由本体数据创建查询对象。
+ *
+ * @param {Object} [data] - signal_ontology.json 的内容（{ version, signals: { 名称: { parent, aliases, description } } }）
+ * @returns {{ canonical: (name: string) => string, nodeOf: (name: string) => string|null, ancestors: (name: string) => Array<{ name: string, distance: number }> }}
+ */
+function createOntology(data) {
+  const nodes = (data && !Array.isArray(data) && data.signals) || {};
+  const aliases = new Map();
+  for (const [name, node] of Object.entries(nodes)) {
+    for (const alias of node.aliases || []) aliases.set(alias, name);
+  }
+  const wildcards = Object.keys(nodes).filter(isWildcardPattern);
+
+  /** 别名换成正式名 */
+  const canonical = name => aliases.get(name) || name;
+
+  /** 信号所属的本体节点：先找同名节点，再找第一个匹配的通配节点 */
+  const nodeOf = (name) => {
+    const key = canonical(name);
+    if (Object.hasOwn(nodes, key)) return key;
+    return wildcards.find(w => compilePattern(w).test(key)) || null;
+  };
+
+  /** 从父节点开始逐层上溯的祖先及距离 */
+  const ancestors = (name) => {
+    const out = [];
+    let key = nodeOf(name);
+    const seen = new Set([key]);
+    // 只认本体自有的节点：constructor、toString 等原型成员不是信号
+    while (key && Object.hasOwn(nodes, key) && nodes[key]?.parent && out.length < MAX_DEPTH) {
+      key = nodes[key].parent;
+      if (seen.has(key)) break;
+      seen.add(key);
+      out.push({ name: key, distance: out.length + 1 });
+    }
+    return out;
+  };
+
+  return { canonical, nodeOf, ancestors };
+}
+
+/**
+ * 读取 assets 中的信号本体（文件不存在时为空本体）。
+ *
+ * @returns {ReturnType<typeof createOntology>}
+ */
+function loadSignalOntology() {
+  return createOntology(loadOntology());
+}
+
+/**
+ * 单个模式与信号名的匹配情况。
+ *
+ * @param {string} pattern - signals_match 中的模式（不含 ! 前缀）
+ * @param {string} signalName - 信号名
+ * @param {ReturnType<typeof createOntology>} ontology - 本体
+ * @returns {{ weight: number, kind: 'exact'|'alias'|'glob'|'regex'|'ancestor', distance: number }|null} 未匹配时为 null
+ */
+function matchPattern(pattern, signalName, ontology) {
+  const name = ontology.canonical(signalName);
+  const target = ontology.canonical(pattern);
+  if (name === target) {
+    return { weight: 1, kind: name === signalName && target === pattern ? 'exact' : 'alias', distance: 0 };
+  }
+  if (isWildcardPattern(pattern)) {
+    const re = compilePattern(pattern);
+    if (!re.test(name) && !re.test(signalName)) return null;
+    return { weight: PATTERN_WEIGHT, kind: isRegexPattern(pattern) ? 'regex' : 'glob', distance: 0 };
+  }
+  const ancestor = ontology.ancestors(name).find(a => a.name === target);
+  if (ancestor) return { weight: ANCESTOR_DECAY ** ancestor.distance, kind: 'ancestor', distance: ancestor.distance };
+  return null;
+}
+
+/**
+ * 验证本体数据：父节点存在、无环、别名不与节点名或其他别名冲突、模式可编译。
+ *
+ * @param {Object} data - signal_ontology.json 的内容
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateOntology(data) {
+  const errors = [];
+  const nodes = (data && !Array.isArray(data) && data.signals) || null;
+  if (!nodes || typeof nodes !== 'object') {
+    return { valid: false, errors: ['signals must be an object'] };
+  }
+
+  const aliasOwner = new Map();
+  for (const [name, node] of Object.entries(nodes)) {
+    if (isWildcardPattern(name)) {
+      try {
+        compilePattern(name);
+      } catch (err) {
+        errors.push(`${name}: invalid pattern (${err.message})`);
+      }
+    }
+    if (node.parent !== undefined && !Object.hasOwn(nodes, node.parent)) {
+      errors.push(`${name}: unknown parent "${node.parent}"`);
+    }
+    for (const alias of node.aliases || []) {
+      if (Object.hasOwn(nodes, alias)) errors.push(`${name}: alias "${alias}" is also a signal`);
+      else if (aliasOwner.has(alias)) errors.push(`${name}: alias "${alias}" already used by ${aliasOwner.get(alias)}`);
+      else aliasOwner.set(alias, name);
+    }
+  }
+
+  for (const name of Object.keys(nodes)) {
+    const seen = new Set([name]);
+    let key = nodes[name].parent;
+    while (key && Object.hasOwn(nodes, key)) {
+      if (seen.has(key)) {
+        errors.push(`${name}: parent cycle through "${key}"`);
+        break;
+      }
+      seen.add(key);
+      key = nodes[key].parent;
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  PATTERN_WEIGHT,
+  ANCESTOR_DECAY,
+  isRegexPattern,
+  isWildcardPattern,
+  compilePattern,
+  createOntology,
+  loadSignalOntology,
+  matchPattern,
+  validateOntology,
+};
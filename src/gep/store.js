@@ -2,11 +2,14 @@
 
 const fs = require('node:fs');
 const path = require('node:path');
+const { forEachJSONLSync } = require('../jsonl');
+const { computeGeneFitness } = require('./fitness');
 
 /**
  * 资产持久化层。
  *
- * 管理 genes.json, capsules.json, events.jsonl, capability_tree.json 的读写。
+ * 管理 genes.json, capsules.json, events.jsonl, capability_tree.json, state.json 的读写，
+ * 以及 signal_ontology.json 的读取。
  */
 
 const ASSETS_DIR = path.join(__dirname, '..', '..', 'assets');
@@ -58,17 +61,36 @@ function appendJSONL(filename, record) {
 }
 
 /**
- * 读取 JSONL 文件。
+ * 逐条读取 JSONL 文件（流式逐行解析，不保留已读记录）。
+ *
+ * 损坏或超长的行被跳过并逐行报告：传入 onError 时交给调用方，
+ * 否则输出到 stderr。
  *
  * @param {string} filename - 文件名
- * @returns {Object[]} 记录数组
+ * @param {Function} onRecord - 记录回调 (record) => void
+ * @param {Object} [options] - 选项
+ * @param {Function} [options.onError] - 行错误回调 ({ line, offset, reason, error }) => void
  */
-function readJSONL(filename) {
+function forEachJSONL(filename, onRecord, options = {}) {
   const filepath = assetPath(filename);
-  if (!fs.existsSync(filepath)) return [];
-  const raw = fs.readFileSync(filepath, 'utf-8').trim();
-  if (!raw) return [];
-  return raw.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  if (!fs.existsSync(filepath)) return;
+  const onError = options.onError || (err => {
+    console.warn(`[ccEvo] ${filename}:${err.line}: skipped (${err.reason}: ${err.error})`);
+  });
+  forEachJSONLSync(filepath, record => onRecord(record.entry), { onError, includePartial: true });
+}
+
+/**
+ * 读取 JSONL 文件的全部记录。
+ *
+ * @param {string} filename - 文件名
+ * @param {Object} [options] - 选项，同 forEachJSONL
+ * @returns {Object[]} 记录数组
+ */
+function readJSONL(filename, options = {}) {
+  const records = [];
+  forEachJSONL(filename, record => records.push(record), options);
+  return records;
 }
 
 // --- Gene CRUD ---
@@ -143,12 +165,13 @@ function loadCapsules() {
 }
 
 /**
- * 保存所有 Capsule。
+ * 保存所有 Capsule，并重算 state.json 中的 Gene 适应度（gene_fitness）。
  *
  * @param {Object[]} capsules
  */
 function saveCapsules(capsules) {
   writeJSON('capsules.json', capsules);
+  saveState('gene_fitness', computeGeneFitness(capsules));
 }
 
 /**
@@ -162,15 +185,67 @@ function addCapsule(capsule) {
   saveCapsules(capsules);
 }
 
+/**
+ * 读取各 Gene 的适应度统计（见 gep/fitness）。
+ * 尚未记录过时从 Capsule 历史计算。
+ *
+ * @returns {Object<string, import('./fitness').GeneFitness>}
+ */
+function loadGeneFitness() {
+  return loadState('gene_fitness') || computeGeneFitness(loadCapsules());
+}
+
 // --- Event Log ---
 
 /**
- * 读取所有进化事件。
+ * 读取所有进化事件。整个事件日志会载入内存，引擎每轮的判断应使用 loadRecentEvents。
  *
+ * @param {Object} [options] - readJSONL 选项（onError）
  * @returns {Object[]}
  */
-function loadEvents() {
-  return readJSONL('events.jsonl');
+function loadEvents(options) {
+  return readJSONL('events.jsonl', options);
+}
+
+/**
+ * 逐条读取进化事件（流式，内存占用与事件日志大小无关）。
+ *
+ * @param {Function} onEvent - 事件回调 (event) => void
+ * @param {Object} [options] - forEachJSONL 选项（onError）
+ */
+function forEachEvent(onEvent, options) {
+  forEachJSONL('events.jsonl', onEvent, options);
+}
+
+/**
+ * 读取最近的进化事件：流式扫描，只保留最后 limit 条（按 filter 过滤后）。
+ *
+ * @param {number} limit - 最多返回的条数
+ * @param {Object} [options] - 选项
+ * @param {Function} [options.filter] - 过滤函数 (event) => boolean
+ * @param {Function} [options.onError] - 行错误回调
+ * @returns {Object[]} 按时间排序的最近事件
+ */
+function loadRecentEvents(limit, options = {}) {
+  const recent = [];
+  forEachEvent((event) => {
+    if (options.filter && !options.filter(event)) return;
+    recent.push(event);
+    if (recent.length > limit) recent.shift();
+  }, options);
+  return recent;
+}
+
+/**
+ * 统计事件条数（流式）。
+ *
+ * @param {Object} [options] - forEachJSONL 选项（onError）
+ * @returns {number}
+ */
+function countEvents(options) {
+  let count = 0;
+  forEachEvent(() => { count++; }, options);
+  return count;
 }
 
 /**
@@ -202,11 +277,53 @@ function saveCapabilityTree(tree) {
   writeJSON('capability_tree.json', tree);
 }
 
+// --- Signal Ontology ---
+
+/**
+ * 读取信号本体（见 gep/ontology）。
+ *
+ * @returns {Object} 本体数据，文件不存在时为 {}
+ */
+function loadOntology() {
+  const data = readJSON('signal_ontology.json');
+  return Array.isArray(data) ? {} : data;
+}
+
+// --- Runtime State ---
+
+/**
+ * 读取跨运行持久化的状态项（state.json 中的一个键）。
+ *
+ * @param {string} key - 状态键
+ * @param {*} [defaults=null] - 不存在时的默认值
+ * @returns {*}
+ */
+function loadState(key, defaults = null) {
+  const data = readJSON('state.json');
+  if (Array.isArray(data) || !(key in data)) return defaults;
+  return data[key];
+}
+
+/**
+ * 保存状态项。
+ *
+ * @param {string} key - 状态键
+ * @param {*} value - 状态值
+ */
+function saveState(key, value) {
+  const raw = readJSON('state.json');
+  const data = Array.isArray(raw) ? {} : raw;
+  data[key] = value;
+  writeJSON('state.json', data);
+}
+
 module.exports = {
+  ASSETS_DIR,
   assetPath,
   readJSON,
   writeJSON,
   appendJSONL,
+  forEachJSONL,
   readJSONL,
   loadGenes,
   saveGenes,
@@ -216,8 +333,15 @@ module.exports = {
   loadCapsules,
   saveCapsules,
   addCapsule,
+  loadGeneFitness,
   loadEvents,
+  forEachEvent,
+  loadRecentEvents,
+  countEvents,
   appendEvent,
   loadCapabilityTree,
   saveCapabilityTree,
+  loadOntology,
+  loadState,
+  saveState,
 };
@@ -0,0 +1,208 @@
+'use strict';
+
+const fs = require('node:fs');
+
+/**
+ * JSONL 流式读取。
+ *
+ * 按固定大小的块读取文件并切分行，内存占用与文件大小无关：
+ * - 异步：readJSONLStream()（async iterator，用于 session logs）
+ * - 同步：forEachJSONLSync()（用于同步接口，如事件存储）
+ *
+ * 解析失败或超过 maxLineBytes 的行不会静默丢弃，而是通过 onError 逐行报告，
+ * 并继续读取后续行。
+ */
+
+/** @constant {number} 单行最大字节数，超出的行跳过并报告 line_too_long */
+const DEFAULT_MAX_LINE_BYTES = 8 * 1024 * 1024;
+
+/** @constant {number} 每次读取的块大小（字节） */
+const CHUNK_BYTES = 64 * 1024;
+
+/**
+ * @typedef {Object} JSONLLineError
+ * @property {number} line - 行号（1 起，从 startLine 之后计）
+ * @property {number} offset - 该行起始字节偏移
+ * @property {number} end - 该行（含换行符）之后的字节偏移
+ * @property {'parse_error'|'line_too_long'} reason - 错误类型
+ * @property {string} error - 错误描述
+ */
+
+/**
+ * @typedef {Object} JSONLRecord
+ * @property {Object} entry - 解析后的记录
+ * @property {number} line - 行号（1 起，从 startLine 之后计）
+ * @property {number} offset - 该行起始字节偏移
+ * @property {number} end - 该行（含换行符）之后的字节偏移
+ */
+
+/**
+ * 行切分器：接收字节块，产出完整行，超长行只保留长度计数。
+ */
+class LineSplitter {
+  /**
+   * @param {number} start - 起始字节偏移
+   * @param {number} maxLineBytes - 单行最大字节数
+   * @param {number} [startLine=0] - 起始偏移之前已有的行数
+   */
+  constructor(start, maxLineBytes, startLine = 0) {
+    this.offset = start;
+    this.maxLineBytes = maxLineBytes;
+    this.parts = [];
+    this.partBytes = 0;
+    this.oversized = false;
+    this.lineNo = startLine;
+  }
+
+  /**
+   * 写入一个块，返回其中完整的行。
+   *
+   * @param {Buffer} chunk - 数据块
+   * @returns {Array<{ text: string|null, line: number, offset: number, end: number, bytes: number }>}
+   *   超长行的 text 为 null
+   */
+  push(chunk) {
+    const lines = [];
+    let pos = 0;
+    while (pos < chunk.length) {
+      const nl = chunk.indexOf(0x0a, pos);
+      const stop = nl === -1 ? chunk.length : nl;
+      this._append(chunk.subarray(pos, stop));
+      if (nl === -1) break;
+
+      const bytes = this.partBytes;
+      const start = this.offset;
+      this.offset += bytes + 1;
+      this.lineNo++;
+      lines.push({
+        text: this.oversized ? null : Buffer.concat(this.parts).toString('utf-8'),
+        line: this.lineNo,
+        offset: start,
+        end: this.offset,
+        bytes,
+      });
+      this.parts = [];
+      this.partBytes = 0;
+      this.oversized = false;
+      pos = nl + 1;
+    }
+    return lines;
+  }
+
+  /**
+   * 追加当前行的片段；超出上限后不再保留内容。
+   *
+   * @param {Buffer} part - 行片段
+   * @private
+   */
+  _append(part) {
+    this.partBytes += part.length;
+    if (this.oversized) return;
+    if (this.partBytes > this.maxLineBytes) {
+      this.oversized = true;
+      this.parts = [];
+      return;
+    }
+    // 复制片段，避免持有整个块的引用
+    if (part.length > 0) this.parts.push(Buffer.from(part));
+  }
+}
+
+/**
+ * 把切分出的行解析为记录，失败时调用 onError。
+ *
+ * @param {Object} row - LineSplitter 产出的行
+ * @param {number} maxLineBytes - 单行最大字节数
+ * @param {Function} [onError] - 错误回调 (JSONLLineError) => void
+ * @returns {JSONLRecord|null}
+ */
+function parseRow(row, maxLineBytes, onError) {
+  const report = (reason, error) => {
+    if (onError) onError({ line: row.line, offset: row.offset, end: row.end, reason, error });
+  };
+  if (row.text === null) {
+    report('line_too_long', `line is ${row.bytes} bytes (max ${maxLineBytes})`);
+    return null;
+  }
+  if (!row.text.trim()) return null;
+  try {
+    return { entry: JSON.parse(row.text), line: row.line, offset: row.offset, end: row.end };
+  } catch (err) {
+    report('parse_error', err.message);
+    return null;
+  }
+}
+
+/**
+ * 流式读取 JSONL 文件。
+ *
+ * 只产出以换行结尾的完整行；末尾不完整的行不产出，可用最后一条记录的 end
+ * 作为下次读取的 start。
+ *
+ * @param {string} file - 文件路径
+ * @param {Object} [options] - 选项
+ * @param {number} [options.start=0] - 起始字节偏移（应位于行首）
+ * @param {number} [options.startLine=0] - 起始偏移之前已有的行数，用于输出文件内的绝对行号
+ * @param {number} [options.maxLineBytes] - 单行最大字节数
+ * @param {Function} [options.onError] - 行错误回调 (JSONLLineError) => void
+ * @returns {AsyncGenerator<JSONLRecord>}
+ */
+async function* readJSONLStream(file, options = {}) {
+  const maxLineBytes = options.maxLineBytes || DEFAULT_MAX_LINE_BYTES;
+  const splitter = new LineSplitter(options.start || 0, maxLineBytes, options.startLine || 0);
+  const stream = fs.createReadStream(file, { start: options.start || 0, highWaterMark: CHUNK_BYTES });
+
+  for await (const chunk of stream) {
+    for (const row of splitter.push(chunk)) {
+      const record = parseRow(row, maxLineBytes, options.onError);
+      if (record) yield record;
+    }
+  }
+}
+
+/**
+ * 同步逐行读取 JSONL 文件。
+ *
+ * 与 readJSONLStream 相同的切分与错误处理；文件末尾没有换行的最后一行
+ * 在 includePartial 为 true 时也会解析（适合由本进程完整写入的文件）。
+ *
+ * @param {string} file - 文件路径
+ * @param {Function} onRecord - 记录回调 (JSONLRecord) => void
+ * @param {Object} [options] - 选项
+ * @param {number} [options.maxLineBytes] - 单行最大字节数
+ * @param {Function} [options.onError] - 行错误回调 (JSONLLineError) => void
+ * @param {boolean} [options.includePartial=false] - 是否解析末尾不完整的行
+ */
+function forEachJSONLSync(file, onRecord, options = {}) {
+  const maxLineBytes = options.maxLineBytes || DEFAULT_MAX_LINE_BYTES;
+  const splitter = new LineSplitter(0, maxLineBytes);
+  const buf = Buffer.alloc(CHUNK_BYTES);
+  const fd = fs.openSync(file, 'r');
+
+  const emit = (rows) => {
+    for (const row of rows) {
+      const record = parseRow(row, maxLineBytes, options.onError);
+      if (record) onRecord(record);
+    }
+  };
+
+  try {
+    let n;
+    while ((n = fs.readSync(fd, buf, 0, buf.length, null)) > 0) {
+      emit(splitter.push(buf.subarray(0, n)));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (options.includePartial && splitter.partBytes > 0) {
+    emit(splitter.push(Buffer.from('\n')));
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_LINE_BYTES,
+  LineSplitter,
+  readJSONLStream,
+  forEachJSONLSync,
+};
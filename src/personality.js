@@ -8,6 +8,28 @@
 
 const MOODS = ['curious', 'focused', 'cautious', 'restless', 'confident'];
 
+/** @constant {string} 中性情绪，空闲衰减后回到此状态 */
+const NEUTRAL_MOOD = 'curious';
+
+/** @constant {number} confidence / risk_appetite 的中性值 */
+const NEUTRAL_VALUE = 0.5;
+
+/** @constant {number} 空闲衰减半衰期（小时）：每空闲一个半衰期，偏离中性值的部分减半 */
+const DECAY_HALF_LIFE_HOURS = 24;
+
+/** @constant {number} 人格历史保留条数 */
+const HISTORY_LIMIT = 50;
+
+/** 计为成功 / 失败的事件类型（每个非跳过周期恰好产生其中一个） */
+const STREAK_EVENTS = {
+  solidify_success: 'success',
+  solidify_failed: 'failure',
+  adl_violation: 'failure',
+};
+
+/** @constant {number} 计算连击时最多回看的固化事件条数（连击长度以此为上限） */
+const STREAK_EVENT_WINDOW = 100;
+
 /**
  * 创建人格状态。
  *
@@ -65,6 +87,83 @@ function updatePersonality(personality, feedback) {
   return updated;
 }
 
+/**
+ * 按空闲时长把人格状态向中性衰减。
+ *
+ * confidence 与 risk_appetite 以指数方式回归 0.5；空闲超过一个半衰期时
+ * mood 回到 'curious'、focus_area 清空。衰减后 last_updated 记为 now，
+ * 因此重复调用与一次性衰减等价。
+ *
+ * @param {Object} personality - 人格状态
+ * @param {Object} [options] - 选项
+ * @param {number} [options.now] - 当前时间戳（毫秒）
+ * @param {number} [options.halfLifeHours=24] - 半衰期（小时）
+ * @returns {Object} 衰减后的人格状态
+ */
+function decayPersonality(personality, options = {}) {
+  const now = options.now ?? Date.now();
+  const halfLifeHours = options.halfLifeHours ?? DECAY_HALF_LIFE_HOURS;
+  const last = Date.parse(personality.last_updated);
+  const idleHours = Number.isNaN(last) ? 0 : Math.max(0, (now - last) / 3600000);
+  if (idleHours === 0) return { ...personality };
+
+  const factor = Math.pow(0.5, idleHours / halfLifeHours);
+  const toward = (v) => Math.round((NEUTRAL_VALUE + (v - NEUTRAL_VALUE) * factor) * 1000) / 1000;
+  const decayed = {
+    ...personality,
+    confidence: toward(personality.confidence),
+    risk_appetite: toward(personality.risk_appetite),
+    last_updated: new Date(now).toISOString(),
+  };
+  if (idleHours >= halfLifeHours) {
+    decayed.mood = NEUTRAL_MOOD;
+    decayed.focus_area = null;
+  }
+  return decayed;
+}
+
+/**
+ * 从事件历史计算当前的连续成功/失败次数。
+ *
+ * 自最新事件向前数，直到遇到结果相反的固化事件为止；
+ * 跳过的周期不产生固化事件，不会打断连击。
+ *
+ * @param {Object[]} events - 进化事件历史（按时间排序）
+ * @returns {{ type: 'success'|'failure'|null, length: number }}
+ */
+function computeStreak(events) {
+  let type = null;
+  let length = 0;
+  for (let i = events.length - 1; i >= 0; i--) {
+    const outcome = STREAK_EVENTS[events[i].event_type];
+    if (!outcome) continue;
+    if (type && outcome !== type) break;
+    type = outcome;
+    length++;
+  }
+  return { type, length };
+}
+
+/**
+ * 在人格历史末尾追加一条快照，超出上限时丢弃最旧的记录。
+ *
+ * @param {Object[]} history - 已有历史
+ * @param {Object} personality - 更新后的人格状态
+ * @param {Object} [context] - 附加上下文（cycle_id、outcome、streak 等）
+ * @param {number} [limit=50] - 保留条数
+ * @returns {Object[]} 新的历史数组
+ */
+function appendHistory(history, personality, context = {}, limit = HISTORY_LIMIT) {
+  const entry = {
+    timestamp: personality.last_updated,
+    mood: personality.mood,
+    confidence: personality.confidence,
+    risk_appetite: personality.risk_appetite,
+    ...context,
+  };
+  return [...(history || []), entry].slice(-limit);
+}
+
 /**
  * 根据人格状态建议策略偏好。
  *
@@ -86,7 +185,14 @@ function suggestFromPersonality(personality) {
 
 module.exports = {
   MOODS,
+  NEUTRAL_MOOD,
+  DECAY_HALF_LIFE_HOURS,
   createPersonality,
   updatePersonality,
+  decayPersonality,
+  STREAK_EVENTS,
+  STREAK_EVENT_WINDOW,
+  computeStreak,
+  appendHistory,
   suggestFromPersonality,
 };
@@ -46,62 +46,185 @@ function getStrategy(name) {
   return { ...strategy };
 }
 
+/** @constant {number} 自动检测的滑动时间窗口（毫秒），默认 24 小时 */
+const DETECT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/** @constant {number} 窗口内最多考察的周期数 */
+const DETECT_MAX_CYCLES = 10;
+
+/** @constant {number} 引擎为自动检测读取的最近事件条数（远大于 DETECT_MAX_CYCLES 个周期的事件量） */
+const DETECT_EVENT_WINDOW = 1000;
+
+/** @constant {number} 少于此周期数时使用 early-stabilize */
+const EARLY_CYCLE_THRESHOLD = 5;
+
+/** @constant {number} 连续无产出周期数达到此值视为停滞 */
+const STAGNATION_CYCLES = 5;
+
+/** 计为失败的事件类型 */
+const FAILURE_EVENTS = ['solidify_failed', 'adl_violation'];
+
 /**
- * 根据进化历史自动检测最佳策略。
+ * 是否为手动回退 Capsule 产生的 rollback 事件（不属于任何进化周期）。
  *
- * 检测逻辑：
+ * @param {Object} event - 事件
+ * @returns {boolean}
+ */
+function isManualRevert(event) {
+  return event.event_type === 'rollback' && !event.cycle_id && event.payload?.trigger === 'capsule_revert';
+}
+
+/**
+ * 将事件流切分为进化周期。
+ *
+ * 事件带 cycle_id 时按 cycle_id 分组；否则以 signal_extracted
+ * （每轮周期的第一个事件）作为周期边界。手动回退 Capsule 的 rollback
+ * 事件不归入任何周期（见 isManualRevert）。
+ *
+ * 周期结果：
+ * - success：出现 solidify_success
+ * - failed：出现 solidify_failed / adl_violation
+ * - skipped：没有提取到信号（没有 signal_extracted），周期直接跳过
+ * - no_output：其余（冷却中、被策略阻止等）
+ *
+ * @param {Object[]} events - 进化事件历史（按时间排序）
+ * @returns {Array<{ id: string|null, started_at: string|null, outcome: 'success'|'failed'|'skipped'|'no_output', events: Object[] }>}
+ */
+function groupCycles(events) {
+  const cycles = [];
+  const byId = new Map();
+  let current = null;
+
+  for (const e of events) {
+    if (isManualRevert(e)) continue;
+    if (e.cycle_id) {
+      let cycle = byId.get(e.cycle_id);
+      if (!cycle) {
+        cycle = { id: e.cycle_id, started_at: e.timestamp || null, events: [] };
+        byId.set(e.cycle_id, cycle);
+        cycles.push(cycle);
+      }
+      cycle.events.push(e);
+      continue;
+    }
+    if (e.event_type === 'signal_extracted' || !current) {
+      current = { id: null, started_at: e.timestamp || null, events: [] };
+      cycles.push(current);
+    }
+    current.events.push(e);
+  }
+
+  for (const cycle of cycles) {
+    const types = cycle.events.map(e => e.event_type);
+    if (types.includes('solidify_success')) cycle.outcome = 'success';
+    else if (types.some(t => FAILURE_EVENTS.includes(t))) cycle.outcome = 'failed';
+    else if (!types.includes('signal_extracted')) cycle.outcome = 'skipped';
+    else cycle.outcome = 'no_output';
+  }
+
+  // 没有 signal_extracted 的纯管理事件（strategy_changed 等）不构成周期
+  return cycles.filter(c => c.id || c.events.some(e => e.event_type === 'signal_extracted'));
+}
+
+/**
+ * 根据进化历史自动检测最佳策略，并给出判定理由和统计。
+ *
+ * 检测逻辑（在最近 windowMs 内、最多 maxCycles 个周期上统计；没有信号而跳过的周期不计入）：
  * 1. 总周期数 < 5 -> 'early-stabilize'
- * 2. 最近连续 5 个周期无实质产出 -> 'innovate'
- * 3. 最近 solidify_failed 比例 > 40% -> 'repair-only'
- * 4. 最近 solidify_failed 比例 > 20% -> 'harden'
+ * 2. 窗口内固化失败比例 > 40% -> 'repair-only'
+ * 3. 窗口内固化失败比例 > 20% -> 'harden'
+ * 4. 最近连续 5 个周期无实质产出 -> 'innovate'
  * 5. 否则 -> 'balanced'
  *
  * @param {Object[]} events - 进化事件历史
- * @returns {string} 策略名
+ * @param {Object} [options] - 选项
+ * @param {number} [options.windowMs] - 滑动时间窗口
+ * @param {number} [options.maxCycles] - 窗口内最多考察的周期数
+ * @param {number} [options.now] - 当前时间戳（毫秒）
+ * @returns {{ strategy: string, reasons: string[], stats: Object }} 策略名、判定理由和统计
  */
-function autoDetectStrategy(events) {
-  if (!Array.isArray(events)) return 'balanced';
+function explainStrategy(events, options = {}) {
+  const windowMs = options.windowMs ?? DETECT_WINDOW_MS;
+  const maxCycles = options.maxCycles ?? DETECT_MAX_CYCLES;
+  const now = options.now ?? Date.now();
+
+  if (!Array.isArray(events)) {
+    return { strategy: 'balanced', reasons: ['no event history available'], stats: {} };
+  }
+
+  const inWindow = (timestamp) => !timestamp || now - Date.parse(timestamp) <= windowMs;
+  const all = groupCycles(events);
+  const cycles = all.filter(c => c.outcome !== 'skipped');
+  const windowed = cycles.filter(c => inWindow(c.started_at)).slice(-maxCycles);
 
-  // 统计周期数（type 为 cycle_complete 或有 cycle 标记的事件）
-  const cycleEvents = events.filter(
-    (e) => e.type === 'cycle_complete' || e.cycle !== undefined
-  );
-  const totalCycles = cycleEvents.length || events.length;
+  const count = (outcome) => windowed.filter(c => c.outcome === outcome).length;
+  const stats = {
+    total_cycles: cycles.length,
+    window_cycles: windowed.length,
+    window_hours: Math.round(windowMs / 3600000),
+    success: count('success'),
+    failed: count('failed'),
+    no_output: count('no_output'),
+    skipped: all.filter(c => c.outcome === 'skipped' && inWindow(c.started_at)).length,
+    // 手动回退不属于任何周期，单独统计，不影响失败比例
+    manual_reverts: events.filter(e => isManualRevert(e) && inWindow(e.timestamp)).length,
+  };
+  const attempts = stats.success + stats.failed;
+  stats.fail_ratio = attempts > 0 ? stats.failed / attempts : 0;
+  const pct = `${(stats.fail_ratio * 100).toFixed(0)}%`;
 
-  if (totalCycles < 5) {
-    return 'early-stabilize';
+  if (cycles.length < EARLY_CYCLE_THRESHOLD) {
+    return {
+      strategy: 'early-stabilize',
+      reasons: [`only ${cycles.length} cycle(s) recorded (< ${EARLY_CYCLE_THRESHOLD})`],
+      stats,
+    };
   }
 
-  // 检查最近 5 个周期是否无实质产出
-  const recentEvents = events.slice(-5);
-  const hasNoOutput = recentEvents.every(
-    (e) =>
-      !e.mutation_applied ||
-      e.result === 'no_change' ||
-      e.result === 'skipped'
-  );
-  if (hasNoOutput) {
-    return 'innovate';
+  if (stats.fail_ratio > 0.4) {
+    return {
+      strategy: 'repair-only',
+      reasons: [`${stats.failed}/${attempts} solidify attempts failed in the last ${stats.window_hours}h (${pct} > 40%)`],
+      stats,
+    };
+  }
+  if (stats.fail_ratio > 0.2) {
+    return {
+      strategy: 'harden',
+      reasons: [`${stats.failed}/${attempts} solidify attempts failed in the last ${stats.window_hours}h (${pct} > 20%)`],
+      stats,
+    };
   }
 
-  // 检查最近事件中 solidify_failed 比例
-  const recentWindow = events.slice(-10);
-  const solidifyAttempts = recentWindow.filter(
-    (e) => e.solidify_failed !== undefined || e.solidify_success !== undefined
-  );
-  if (solidifyAttempts.length > 0) {
-    const failedCount = solidifyAttempts.filter((e) => e.solidify_failed).length;
-    const failRatio = failedCount / solidifyAttempts.length;
-
-    if (failRatio > 0.4) {
-      return 'repair-only';
-    }
-    if (failRatio > 0.2) {
-      return 'harden';
-    }
+  const lastCycles = windowed.slice(-STAGNATION_CYCLES);
+  if (lastCycles.length >= STAGNATION_CYCLES && lastCycles.every(c => c.outcome === 'no_output')) {
+    return {
+      strategy: 'innovate',
+      reasons: [`last ${STAGNATION_CYCLES} cycles produced no solidified change`],
+      stats,
+    };
   }
 
-  return 'balanced';
+  return {
+    strategy: 'balanced',
+    reasons: [
+      attempts > 0
+        ? `fail ratio ${pct} over ${attempts} attempt(s) in the last ${stats.window_hours}h is within limits`
+        : `no solidify attempts in the last ${stats.window_hours}h`,
+    ],
+    stats,
+  };
+}
+
+/**
+ * 根据进化历史自动检测最佳策略（判定理由见 explainStrategy）。
+ *
+ * @param {Object[]} events - 进化事件历史
+ * @param {Object} [options] - 选项，同 explainStrategy
+ * @returns {string} 策略名称
+ */
+function autoDetectStrategy(events, options = {}) {
+  return explainStrategy(events, options).strategy;
 }
 
-module.exports = { STRATEGIES, getStrategy, autoDetectStrategy };
+module.exports = { STRATEGIES, DETECT_EVENT_WINDOW, getStrategy, groupCycles, explainStrategy, autoDetectStrategy };
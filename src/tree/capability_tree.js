@@ -8,6 +8,8 @@
 
 const { loadCapabilityTree, saveCapabilityTree, loadGenes } = require('../gep/store');
 const { createNode, validateNode, touchNode } = require('./node');
+const { matchScore } = require('../gep/gene');
+const { loadSignalOntology } = require('../gep/ontology');
 
 class CapabilityTree {
   /**
@@ -236,14 +238,14 @@ class CapabilityTree {
   /**
    * 从信号定位最匹配能力路径。
    *
-   * 遍历所有节点，检查其 linked_genes 对应的 gene 的 signals_match
-   * 是否与给定 signals 有交集，返回匹配度最高节点的路径。
+   * 遍历所有节点，按信号本体累加其 linked_genes 对应 gene 与给定 signals 的
+   * 匹配度（见 gep/gene 的 matchScore），返回匹配度最高节点的路径。
    *
    * @param {string[]} signals - 当前信号集
    * @returns {Object[]} 匹配度最高节点的从根到该节点的路径
    */
   findPath(signals) {
-    const signalSet = new Set(signals);
+    const ontology = loadSignalOntology();
     const genes = loadGenes();
     const geneMap = {};
     for (const gene of genes) {
@@ -262,11 +264,7 @@ class CapabilityTree {
       for (const geneId of linkedGenes) {
         const gene = geneMap[geneId];
         if (!gene || !gene.signals_match) continue;
-        for (const sig of gene.signals_match) {
-          if (signalSet.has(sig)) {
-            nodeScore++;
-          }
-        }
+        nodeScore += matchScore(gene, signals, ontology);
       }
 
       if (nodeScore > bestScore) {
@@ -1,5 +1,7 @@
 'use strict';
 
+const { isCapsuleSuccessful } = require('../gep/capsule');
+
 /**
  * 价值函数突变器 (VFM Mutator)。
  *
@@ -41,14 +43,14 @@ function clampWeight(weight) {
 }
 
 /**
- * 计算 capsule 列表的成功率。
+ * 计算 capsule 列表的成功率（已回退的 capsule 不计为成功）。
  *
  * @param {Object[]} capsules - Capsule 列表
  * @returns {number} 0 到 1 的成功率
  */
 function computeSuccessRate(capsules) {
   if (!capsules || capsules.length === 0) return 1.0;
-  const passed = capsules.filter(c => c.metrics && c.metrics.validation_passed).length;
+  const passed = capsules.filter(isCapsuleSuccessful).length;
   return passed / capsules.length;
 }
 
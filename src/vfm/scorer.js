@@ -8,6 +8,7 @@
  */
 
 const { loadGenes } = require('../gep/store');
+const { isCapsuleSuccessful, capsuleEffectScore } = require('../gep/capsule');
 
 /** @constant {number} 进化价值阈值，低于此分数不值得进化 */
 const EVOLUTION_THRESHOLD = 40;
@@ -29,8 +30,9 @@ function scoreFrequency(capability) {
 /**
  * 降低失败率维度评分。
  *
- * 该能力关联 capsule 的 validation_passed 成功率映射到 0-10。
- * 成功率越高说明能力越稳定，对降低失败有贡献。
+ * 该能力关联 capsule 的实际效果（固化后触发信号是否消失，见 core/effectiveness）
+ * 平均分映射到 0-10，失败和已回退的 capsule 计 0 分，仍在观察的不计入。
+ * 关联 capsule 都还没有得出结论时，回退为固化成功率。
  *
  * @param {Object} capability - 能力节点
  * @param {Object[]} capsules - 相关 Capsule 列表
@@ -45,7 +47,13 @@ function scoreFailReduction(capability, capsules) {
 
   if (relatedCapsules.length === 0) return 0;
 
-  const passedCount = relatedCapsules.filter(c => c.metrics && c.metrics.validation_passed).length;
+  // 只有失败 capsule（0 分）不足以说明实际效果，至少要有一个得出结论的成功 capsule
+  const scores = relatedCapsules.map(capsuleEffectScore).filter(s => s !== null);
+  if (relatedCapsules.some(c => isCapsuleSuccessful(c) && capsuleEffectScore(c) !== null)) {
+    return (scores.reduce((sum, s) => sum + s, 0) / scores.length) * 10;
+  }
+
+  const passedCount = relatedCapsules.filter(isCapsuleSuccessful).length;
   const successRate = passedCount / relatedCapsules.length;
   return successRate * 10;
 }